@@ -1,8 +1,14 @@
+import os from 'node:os';
 import path from 'node:path';
 
 import { app } from 'electron';
 import settings from 'electron-settings';
 
+import platform from './lib/platform/index.js';
+
+/** @type {boolean} Whether Wemp runs on Windows, the other platforms use POSIX builds */
+const isWindows = process.platform === 'win32';
+
 /**
  * Application configuration and service definitions
  */
@@ -13,30 +19,75 @@ const config = {
   services: {
     nginx: {
       name: 'Nginx',
-      executable: 'nginx.exe',
+      // Gets the platform's extension
+      executable: platform.getExecutableName('nginx'),
+      // Daemonized nginx would detach from Wemp, which the Windows build never does
+      processArgs: isWindows ? [] : ['-g', 'daemon off;'],
       configFile: 'conf/nginx.conf',
       preserve: ['conf/', 'html/', 'logs/'],
+      // Defaults, changed through the `hosts` and `ports` settings (see port-manager.js)
+      host: 'localhost',
+      port: 80,
+      // Started before and stopped after this service (see dependency-graph.js)
+      dependsOn: ['php'],
+      // Release channels, the first is followed unless the `channels` setting selects another
+      channels: { stable: 'Stable', mainline: 'Mainline' },
+      // Prints the version of a package installed from a local file
+      versionArgs: ['-v'],
+      // Used unless the API provides release notes
+      releaseNotes: () => 'https://nginx.org/en/CHANGES',
+      // Applies configuration changes in place instead of restarting
+      reloadArgs: ['-s', 'reload'],
+      // Restarts after a crash: 'never', 'on-failure' or 'always' (see crash-recovery.js)
+      restartPolicy: 'on-failure',
+      // Probe that decides when the service is ready (see health-check.js)
+      healthCheck: { type: 'http', path: '/' },
     },
     mariadb: {
       name: 'MariaDB',
-      executable: 'mysqld.exe',
+      executable: platform.getExecutableName('mysqld'),
       executablePath: 'bin',
+      // Each major.minor version is installed in its own folder, with its own data directory
+      multiVersion: true,
+      channels: { lts: 'LTS', rolling: 'Rolling' },
+      versionArgs: ['--version'],
+      releaseNotes: version =>
+        `https://mariadb.com/kb/en/mariadb-${version.replaceAll('.', '-')}-release-notes/`,
+      // Only the Windows build reads my.ini from its data directory by default
+      processArgs: isWindows ? [] : ['--defaults-file=data/my.ini'],
       configFile: 'data/my.ini',
       preserve: ['data/'],
+      host: '127.0.0.1',
+      port: 3306,
+      restartPolicy: 'on-failure',
+      healthCheck: { type: 'tcp' },
     },
     php: {
       name: 'PHP',
-      executable: 'php-cgi.exe',
+      executable: platform.getExecutableName('php-cgi'),
+      multiVersion: true,
       configFile: 'php.ini',
       preserve: ['extras/'],
-      processArgs: ['-b', '127.0.0.1:9000'],
+      host: '127.0.0.1',
+      port: 9000,
+      // Pool size, changed through the `workers` setting
+      workers: 4,
+      // Branches in active support, or also branches that only receive security fixes
+      channels: { active: 'Active Support', security: 'Security Fixes' },
+      versionArgs: ['-v'],
+      releaseNotes: version =>
+        `https://www.php.net/ChangeLog-${version.split('.')[0]}.php#${version}`,
+      processArgs: ({ host, port }) => ['-b', `${host}:${port}`],
+      restartPolicy: 'always',
+      healthCheck: { type: 'tcp' },
       env: {
         PHP_FCGI_MAX_REQUESTS: '0',
       },
     },
     phpmyadmin: {
       name: 'phpMyAdmin',
-      url: 'http://localhost/phpmyadmin',
+      urlPath: '/phpmyadmin',
+      dependsOn: ['nginx', 'php', 'mariadb'],
       configFile: 'config.inc.php',
     },
   },
@@ -47,7 +98,8 @@ const config = {
   api: {
     baseUrl: process.env.WEMP_API_BASE_URL || 'https://electronfriends.org/api/wemp',
     endpoints: {
-      versions: '/versions.json',
+      // Builds for other platforms are listed separately (e.g. /versions-linux.json)
+      versions: isWindows ? '/versions.json' : `/versions-${process.platform}.json`,
     },
     timeout: 10000,
   },
@@ -57,11 +109,50 @@ const config = {
    */
   paths: {
     get services() {
-      return settings.getSync('path')?.toString() || path.join('C:', 'Wemp');
+      const defaultPath = isWindows ? path.join('C:', 'Wemp') : path.join(os.homedir(), 'Wemp');
+      return settings.getSync('path')?.toString() || defaultPath;
     },
     get logs() {
       return path.join(app.getPath('userData'), 'error.log');
     },
+    get backups() {
+      return path.join(this.services, '.backups');
+    },
+    // Can be moved with the `downloadCachePath` setting, e.g. to share it on a network drive
+    get cache() {
+      return (
+        settings.getSync('downloadCachePath')?.toString() || path.join(this.services, '.cache')
+      );
+    },
+  },
+
+  /**
+   * Update configuration. Pre-releases (e.g. 8.5.0RC1 or 11.4.2-beta) are only offered if
+   * `prereleases` or the `prereleases` setting is enabled.
+   */
+  updates: {
+    prereleases: false,
+    // Background checks while Wemp runs (ms), can be changed through the `updateCheckInterval`
+    // setting, 0 disables them
+    checkInterval: 6 * 60 * 60 * 1000,
+  },
+
+  /**
+   * Backups of files replaced by updates, to roll back to the previous version. `retention` is the
+   * number of backups kept per installation and can be changed through the `backupRetention`
+   * setting.
+   */
+  backups: {
+    retention: 2,
+  },
+
+  /**
+   * Downloaded archives kept to install them again without a download. `maxSize` in bytes can be
+   * changed through the `downloadCacheSize` setting, the least recently used archives are removed
+   * beyond it and 0 disables the cache.
+   */
+  downloadCache: {
+    maxSize: 2 * 1024 * 1024 * 1024,
   },
 
   /**
@@ -69,6 +160,86 @@ const config = {
    */
   timeout: {
     stop: 3000,
+    startup: 30000,
+  },
+
+  /**
+   * Readiness probe configuration (ms)
+   */
+  healthCheck: {
+    interval: 250,
+    probeTimeout: 1000,
+  },
+
+  /**
+   * Crash recovery configuration
+   *
+   * Services are restarted according to their `restartPolicy` ('never', 'on-failure' or 'always')
+   * with exponential backoff. Recovery gives up once `maxRestarts` restarts happened within `window`.
+   */
+  restart: {
+    initialDelay: 1000,
+    maxDelay: 30000,
+    maxRestarts: 5,
+    window: 5 * 60 * 1000,
+  },
+
+  /**
+   * Worker pool configuration
+   *
+   * Pooled services (those with `workers`) run one process per port starting at their port.
+   * A pool is considered crashed once more than `maxFailures` failures per worker happened
+   * within `failureWindow` ms.
+   */
+  pool: {
+    maxFailures: 3,
+    failureWindow: 10000,
+    respawnDelay: 500,
+  },
+
+  /**
+   * Adopted process configuration (ms)
+   *
+   * Processes left running by a previous session are re-adopted on startup. As they are not
+   * child processes, their exit is detected by polling every `pollInterval` ms.
+   */
+  adoption: {
+    pollInterval: 1000,
+  },
+
+  /**
+   * Resource monitoring configuration
+   *
+   * CPU and memory of running services (including their child processes) are sampled every
+   * `interval` ms, keeping the last `historySize` samples. A notification is shown when a service
+   * exceeds a threshold (CPU in percent of all cores, memory in MB). Thresholds can be overridden
+   * per service with the `thresholds` setting, e.g. `"thresholds": { "mariadb": { "memory": 2048 } }`.
+   */
+  monitor: {
+    // Listing processes is expensive on Windows (PowerShell), so samples are taken sparingly
+    interval: 15000,
+    historySize: 60,
+    thresholds: {
+      cpu: 90,
+      memory: 1024,
+    },
+  },
+
+  /**
+   * Headless mode defaults
+   *
+   * Without tray and dialogs (see headless.js), failed updates are retried `updateRetries` times
+   * every `retryDelay` ms and then skipped, and services whose port is taken fail to start unless
+   * `movePorts` allows moving them to a free port. Updates found at startup are installed unless
+   * `skipUpdates` is set. Each option can be overridden with a command
+   * line flag (e.g. `--update-retries=5`) or the `headless` setting. The services folder is
+   * passed with `--path`, otherwise the `path` setting or the default folder is used.
+   */
+  headless: {
+    updateRetries: 2,
+    retryDelay: 5000,
+    movePorts: false,
+    skipUpdates: false,
   },
 
   /**
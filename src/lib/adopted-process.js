@@ -0,0 +1,112 @@
+import { EventEmitter } from 'node:events';
+
+import config from '../config.js';
+import logger from './logger.js';
+import { killProcessTree } from './process-tree.js';
+
+/**
+ * Supervises service processes left running by a previous session
+ *
+ * Adopted processes are not children of Wemp, so their output is not available and their exit is
+ * detected by polling. It mimics a ChildProcess (stdout, stderr, pid, exitCode, kill() and the
+ * exit event), so it can be supervised like a freshly spawned service process. Adopted worker
+ * pools are tracked as a whole: the service is considered exited once its last worker is gone.
+ *
+ * @extends EventEmitter
+ * @fires AdoptedProcess#exit - Emitted once all adopted processes have exited
+ */
+export class AdoptedProcess extends EventEmitter {
+  /**
+   * Creates a new AdoptedProcess instance and starts watching the processes
+   * @param {Object} options - Adoption options
+   * @param {string} options.name - Display name used in logs
+   * @param {number[]} options.pids - PIDs of the adopted processes
+   */
+  constructor({ name, pids }) {
+    super();
+    /** @type {string} Display name used in logs */
+    this.name = name;
+    /** @type {Set<number>} PIDs of the adopted processes that are still alive */
+    this.alive = new Set(pids);
+    /** @type {null} Output of adopted processes cannot be captured */
+    this.stdout = null;
+    /** @type {null} Output of adopted processes cannot be captured */
+    this.stderr = null;
+    /** @type {number|null} Exit code once all processes have exited (always 0 after kill()) */
+    this.exitCode = null;
+    /** @type {boolean} Whether the processes are being stopped */
+    this.stopping = false;
+    /** @type {NodeJS.Timeout|null} Liveness polling timer, null once exited */
+    this.timer = setInterval(() => this.poll(), config.adoption.pollInterval);
+  }
+
+  /**
+   * PID of the first live process, for compatibility with ChildProcess
+   * @type {number|undefined}
+   */
+  get pid() {
+    return this.alive.values().next().value;
+  }
+
+  /**
+   * PIDs of all live processes
+   * @type {number[]}
+   */
+  get pids() {
+    return Array.from(this.alive);
+  }
+
+  /**
+   * Terminates all adopted processes and their descendants
+   * @returns {boolean} Always true, for compatibility with ChildProcess
+   */
+  kill() {
+    this.stopping = true;
+
+    for (const pid of this.alive) {
+      killProcessTree(pid).catch(error =>
+        logger.error(`Failed to terminate adopted ${this.name} process ${pid}:`, error)
+      );
+    }
+
+    // Report the exit right away instead of waiting for the next poll
+    this.poll();
+    return true;
+  }
+
+  /**
+   * Removes exited processes and emits exit once none is left
+   * @private
+   */
+  poll() {
+    for (const pid of this.alive) {
+      if (!isProcessAlive(pid)) this.alive.delete(pid);
+    }
+
+    // The timer is cleared once the exit has been reported
+    if (this.alive.size > 0 || !this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    // The real exit code of a non-child process is unknown
+    this.exitCode = this.stopping ? 0 : null;
+    this.emit('exit', this.exitCode, null);
+  }
+}
+
+/**
+ * Checks whether a process exists
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ * @private
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
@@ -3,6 +3,11 @@ import logger from './logger.js';
 
 /**
  * Retrieves latest service versions from remote API endpoint
+ *
+ * Services may list the release of each channel in `channels` (e.g. `{mainline: {version,
+ * downloadUrl}}`) and multi-version services list their versions in `versions`, each with the
+ * `channels` it belongs to. Releases may link their notes in an optional `releaseNotesUrl`.
+ *
  * @returns {Promise<Record<string, {version: string, downloadUrl: string}>|null>} Service versions object or null on failure
  */
 export async function fetchServiceVersions() {
@@ -0,0 +1,125 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import settings from 'electron-settings';
+
+import config from '../config.js';
+import logger from './logger.js';
+
+/** @type {string} Name of the file describing a backup */
+const MANIFEST_NAME = 'backup.json';
+
+/**
+ * Gets the folder with the backups of an installation
+ * @param {string} installId - Installation folder name (e.g. "nginx" or "php-8.3")
+ * @returns {string} Path to the backups of the installation
+ */
+export function getBackupsPath(installId) {
+  return path.join(config.paths.backups, installId);
+}
+
+/**
+ * Gets the folder for the backup of a replaced version
+ * @param {string} installId - Installation folder name
+ * @param {string} version - Version whose files are backed up
+ * @returns {string} Path to the backup
+ */
+export function getBackupPath(installId, version) {
+  return path.join(getBackupsPath(installId), version);
+}
+
+/**
+ * Records a backup once all replaced files were moved into it
+ * @param {string} backupPath - Path to the backup
+ * @param {string} version - Version whose files are backed up
+ * @param {string[]} added - Files of the new version that did not replace a file
+ */
+export function saveBackupManifest(backupPath, version, added) {
+  fs.writeFileSync(
+    path.join(backupPath, MANIFEST_NAME),
+    JSON.stringify({ version, createdAt: Date.now(), added }, null, 2)
+  );
+}
+
+/**
+ * Lists the complete backups of an installation
+ * @param {string} installId - Installation folder name
+ * @returns {{version: string, createdAt: number, added: string[], path: string}[]} Backups, newest first
+ */
+export function listBackups(installId) {
+  const backupsPath = getBackupsPath(installId);
+  if (!fs.existsSync(backupsPath)) return [];
+
+  return fs
+    .readdirSync(backupsPath)
+    .map(entry => {
+      const backupPath = path.join(backupsPath, entry);
+      try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(backupPath, MANIFEST_NAME), 'utf8'));
+        return { ...manifest, path: backupPath };
+      } catch {
+        // Incomplete backup, e.g. when Wemp was closed during an update
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Restores the files of a backup into its installation and removes the backup
+ *
+ * Files added by the newer version are removed, preserved files (e.g. databases) were never part
+ * of the backup and stay as they are. The service must be stopped.
+ *
+ * @param {string} installId - Installation folder name
+ * @param {string} version - Version to restore
+ * @throws {Error} If there is no backup of the version
+ */
+export function restoreBackup(installId, version) {
+  const backup = listBackups(installId).find(entry => entry.version === version);
+  if (!backup) {
+    throw new Error(`No backup of ${installId} ${version} found`);
+  }
+
+  const installPath = path.join(config.paths.services, installId);
+
+  for (const item of backup.added) {
+    fs.rmSync(path.join(installPath, item), { recursive: true, force: true });
+  }
+
+  for (const item of fs.readdirSync(backup.path)) {
+    if (item === MANIFEST_NAME) continue;
+
+    const destPath = path.join(installPath, item);
+    fs.rmSync(destPath, { recursive: true, force: true });
+    fs.renameSync(path.join(backup.path, item), destPath);
+  }
+
+  fs.rmSync(backup.path, { recursive: true, force: true });
+  logger.info(`Restored ${installId} ${version} from backup`);
+}
+
+/**
+ * Removes the oldest backups of an installation beyond the retention count
+ *
+ * The count is taken from the `backupRetention` setting, falling back to config.backups.
+ *
+ * @param {string} installId - Installation folder name
+ */
+export function pruneBackups(installId) {
+  const retention = settings.getSync('backupRetention') ?? config.backups.retention;
+
+  for (const backup of listBackups(installId).slice(Math.max(retention, 0))) {
+    fs.rmSync(backup.path, { recursive: true, force: true });
+    logger.info(`Removed old backup of ${installId} ${backup.version}`);
+  }
+}
+
+/**
+ * Removes all backups of an installation, e.g. when the installation itself is removed
+ * @param {string} installId - Installation folder name
+ */
+export function removeBackups(installId) {
+  fs.rmSync(getBackupsPath(installId), { recursive: true, force: true });
+}
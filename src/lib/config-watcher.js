@@ -4,64 +4,91 @@ import fs from 'node:fs';
 import path from 'node:path';
 
 import config from '../config.js';
+import { getEnvFilePath } from './env-file.js';
 import logger from './logger.js';
 
 /**
- * Monitors service configuration files for changes
+ * Monitors service configuration and environment files for changes
  *
  * Uses file watching and MD5 hashing to detect actual content changes in configuration files.
  * Emits events when configuration changes are detected to trigger service restarts.
  *
  * @fires ConfigWatcher#config-changed - Emitted when a service configuration file changes
+ * @fires ConfigWatcher#env-changed - Emitted when a service's .env file changes
  * @extends EventEmitter
  */
 export class ConfigWatcher extends EventEmitter {
   constructor() {
     super();
-    /** @type {Map<string, string>} Maps service ID to config file path */
+    /** @type {Map<string, string[]>} Maps service ID to watched file paths */
     this.watchers = new Map();
-    /** @type {Map<string, string>} Maps service ID to file content hash */
+    /** @type {Map<string, string>} Maps watched file path to content hash */
     this.hashes = new Map();
   }
 
   /**
-   * Sets up configuration file watching for a service
+   * Sets up configuration and environment file watching for a service
    * @param {string} serviceId - Service identifier
    * @param {string} servicePath - Path to service installation
    */
   setupWatcher(serviceId, servicePath) {
     const serviceConfig = config.services[serviceId];
-    if (!serviceConfig.configFile) return;
 
-    const configPath = path.join(servicePath, serviceConfig.configFile);
-    if (!fs.existsSync(configPath)) {
-      logger.warn(`Config file does not exist for ${serviceId}: ${configPath}`);
-      return;
+    // Avoid stacking listeners when a service is started again (e.g. after a crash)
+    this.removeWatcher(serviceId);
+
+    const paths = [];
+
+    if (serviceConfig.configFile) {
+      // Custom services may use an absolute config file
+      const configPath = path.resolve(servicePath, serviceConfig.configFile);
+
+      if (fs.existsSync(configPath)) {
+        this.watchFile(serviceId, configPath, 'config-changed');
+        paths.push(configPath);
+      } else {
+        logger.warn(`Config file does not exist for ${serviceId}: ${configPath}`);
+      }
     }
 
+    // The .env file is optional, so it is also watched for being created
+    if (serviceConfig.executable) {
+      const envPath = getEnvFilePath(servicePath);
+      this.watchFile(serviceId, envPath, 'env-changed');
+      paths.push(envPath);
+    }
+
+    if (paths.length > 0) {
+      this.watchers.set(serviceId, paths);
+    }
+  }
+
+  /**
+   * Watches a single file of a service
+   * @param {string} serviceId - Service identifier
+   * @param {string} filePath - File to watch
+   * @param {'config-changed'|'env-changed'} event - Event to emit on changes
+   * @private
+   */
+  watchFile(serviceId, filePath, event) {
     // Store initial hash to detect actual content changes later
-    const initialHash = this.getFileHash(configPath);
-    this.hashes.set(serviceId, initialHash);
+    this.hashes.set(filePath, this.getFileHash(filePath));
 
-    // Monitor for configuration file changes
-    fs.watchFile(configPath, { interval: config.watcher.pollInterval }, () => {
-      this.handleConfigFileChange(serviceId, configPath);
+    fs.watchFile(filePath, { interval: config.watcher.pollInterval }, () => {
+      this.handleFileChange(serviceId, filePath, event);
     });
-
-    this.watchers.set(serviceId, configPath);
   }
 
   /**
-   * Removes configuration file watcher for a service
+   * Removes the file watchers of a service
    * @param {string} serviceId - Service identifier
    */
   removeWatcher(serviceId) {
-    const configPath = this.watchers.get(serviceId);
-    if (configPath) {
-      fs.unwatchFile(configPath);
-      this.watchers.delete(serviceId);
-      this.hashes.delete(serviceId);
+    for (const filePath of this.watchers.get(serviceId) || []) {
+      fs.unwatchFile(filePath);
+      this.hashes.delete(filePath);
     }
+    this.watchers.delete(serviceId);
   }
 
   /**
@@ -74,26 +101,27 @@ export class ConfigWatcher extends EventEmitter {
   }
 
   /**
-   * Handles configuration file changes by comparing content hashes
+   * Handles file changes by comparing content hashes
    * @param {string} serviceId - Service identifier
-   * @param {string} configPath - Path to configuration file
+   * @param {string} filePath - Path to the changed file
+   * @param {'config-changed'|'env-changed'} event - Event to emit
    * @private
    */
-  handleConfigFileChange(serviceId, configPath) {
-    const previousHash = this.hashes.get(serviceId);
-    const currentHash = this.getFileHash(configPath);
+  handleFileChange(serviceId, filePath, event) {
+    const previousHash = this.hashes.get(filePath);
+    const currentHash = this.getFileHash(filePath);
 
     // Ignore filesystem events that didn't actually change content
     if (currentHash === previousHash) return;
 
-    this.hashes.set(serviceId, currentHash);
-    this.emit('config-changed', serviceId);
+    this.hashes.set(filePath, currentHash);
+    this.emit(event, serviceId);
   }
 
   /**
    * Computes MD5 hash of file contents for change detection
    * @param {string} filePath - Path to file
-   * @returns {string} MD5 hash or empty string on error
+   * @returns {string} MD5 hash or empty string if the file is missing or unreadable
    * @private
    */
   getFileHash(filePath) {
@@ -101,7 +129,10 @@ export class ConfigWatcher extends EventEmitter {
       const content = fs.readFileSync(filePath);
       return createHash('md5').update(content).digest('hex');
     } catch (error) {
-      logger.warn(`Failed to hash config file ${filePath}:`, error.message);
+      // A missing .env file is not an error
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to hash config file ${filePath}:`, error.message);
+      }
       return '';
     }
   }
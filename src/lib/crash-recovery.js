@@ -0,0 +1,168 @@
+import { EventEmitter } from 'node:events';
+
+import config from '../config.js';
+import logger from './logger.js';
+import * as notifications from './notifications.js';
+
+/**
+ * Restarts crashed services according to their restart policy
+ *
+ * Applies exponential backoff between attempts and gives up when a service keeps crashing,
+ * i.e. when `config.restart.maxRestarts` restarts happened within `config.restart.window`.
+ *
+ * @extends EventEmitter
+ * @fires CrashRecovery#restart-scheduled - Emitted when a restart attempt is scheduled
+ * @fires CrashRecovery#restart-succeeded - Emitted when a restart attempt succeeded
+ * @fires CrashRecovery#restart-failed - Emitted when a restart attempt failed
+ * @fires CrashRecovery#gave-up - Emitted when recovery stops retrying a crash-looping service
+ */
+export class CrashRecovery extends EventEmitter {
+  /**
+   * Creates a new CrashRecovery instance
+   * @param {function(string): Promise<void>} restartFn - Starts the given service again
+   */
+  constructor(restartFn) {
+    super();
+    /** @type {function(string): Promise<void>} Starts a crashed service again */
+    this.restartFn = restartFn;
+    /** @type {Map<string, {restarts: number[], attempt: number, status: string|null, timer: NodeJS.Timeout|null}>} */
+    this.states = new Map();
+  }
+
+  /**
+   * Handles an unexpected process exit and schedules a restart if the policy allows it
+   * @param {string} serviceId - Service identifier
+   * @param {number|null} code - Exit code of the process (null if terminated by a signal)
+   */
+  handleCrash(serviceId, code) {
+    const policy = config.services[serviceId]?.restartPolicy || 'never';
+    if (policy === 'never' || (policy === 'on-failure' && code === 0)) return;
+
+    const state = this.getOrCreateState(serviceId);
+    if (state.status === 'gave-up' || state.timer) return;
+
+    const { initialDelay, maxDelay, maxRestarts, window } = config.restart;
+
+    // Only restarts within the current window count towards the limit
+    const windowStart = Date.now() - window;
+    state.restarts = state.restarts.filter(timestamp => timestamp > windowStart);
+
+    if (state.restarts.length >= maxRestarts) {
+      this.giveUp(serviceId, state);
+      return;
+    }
+
+    state.attempt = state.restarts.length + 1;
+    state.status = 'restarting';
+
+    const delay = Math.min(initialDelay * 2 ** (state.attempt - 1), maxDelay);
+    const serviceName = config.services[serviceId]?.name || serviceId;
+    logger.info(
+      `Restarting ${serviceName} in ${delay}ms (attempt ${state.attempt}/${maxRestarts})`
+    );
+
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.attemptRestart(serviceId, state);
+    }, delay);
+
+    this.emit('restart-scheduled', serviceId, state.attempt, maxRestarts, delay);
+  }
+
+  /**
+   * Cancels a pending restart and clears the recovery state of a service
+   * @param {string} serviceId - Service identifier
+   */
+  reset(serviceId) {
+    const state = this.states.get(serviceId);
+    if (!state) return;
+
+    if (state.timer) clearTimeout(state.timer);
+    this.states.delete(serviceId);
+  }
+
+  /**
+   * Cancels all pending restarts
+   */
+  resetAll() {
+    for (const serviceId of Array.from(this.states.keys())) {
+      this.reset(serviceId);
+    }
+  }
+
+  /**
+   * Gets the recovery state of a service
+   * @param {string} serviceId - Service identifier
+   * @returns {{status: 'restarting'|'gave-up', attempt: number, maxAttempts: number}|null} Recovery state or null if idle
+   */
+  getState(serviceId) {
+    const state = this.states.get(serviceId);
+    if (!state?.status) return null;
+
+    return {
+      status: state.status,
+      attempt: state.attempt,
+      maxAttempts: config.restart.maxRestarts,
+    };
+  }
+
+  /**
+   * Runs a scheduled restart attempt
+   * @param {string} serviceId - Service identifier
+   * @param {Object} state - Recovery state of the service
+   * @returns {Promise<void>}
+   * @private
+   */
+  async attemptRestart(serviceId, state) {
+    const serviceName = config.services[serviceId]?.name || serviceId;
+    state.restarts.push(Date.now());
+
+    try {
+      await this.restartFn(serviceId);
+
+      // The service may have been reset (e.g. stopped manually) while restarting
+      if (this.states.get(serviceId) !== state) return;
+
+      state.status = null;
+      logger.info(`Recovered ${serviceName} after ${state.attempt} restart attempt(s)`);
+      this.emit('restart-succeeded', serviceId, state.attempt);
+    } catch (error) {
+      if (this.states.get(serviceId) !== state) return;
+
+      logger.error(`Restart attempt ${state.attempt} for ${serviceName} failed`, error);
+      this.emit('restart-failed', serviceId, state.attempt, error);
+      this.handleCrash(serviceId, null);
+    }
+  }
+
+  /**
+   * Stops retrying a crash-looping service
+   * @param {string} serviceId - Service identifier
+   * @param {Object} state - Recovery state of the service
+   * @private
+   */
+  giveUp(serviceId, state) {
+    const serviceName = config.services[serviceId]?.name || serviceId;
+    state.status = 'gave-up';
+
+    logger.error(
+      `${serviceName} crashed ${state.restarts.length} times within ${config.restart.window / 1000}s, giving up`
+    );
+    notifications.showServiceGaveUp(serviceName, state.restarts.length);
+
+    this.emit('gave-up', serviceId, state.restarts.length);
+  }
+
+  /**
+   * Gets the recovery state of a service, creating it if needed
+   * @param {string} serviceId - Service identifier
+   * @returns {Object} Recovery state
+   * @private
+   */
+  getOrCreateState(serviceId) {
+    if (!this.states.has(serviceId)) {
+      this.states.set(serviceId, { restarts: [], attempt: 0, status: null, timer: null });
+    }
+    return this.states.get(serviceId);
+  }
+}
@@ -0,0 +1,268 @@
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { safeStorage } from 'electron';
+import settings from 'electron-settings';
+
+import config from '../config.js';
+import logger from './logger.js';
+import platform from './platform/index.js';
+import { getServiceEndpoint } from './port-manager.js';
+
+/** @type {string} Settings key of the encrypted MariaDB root password */
+const MARIADB_PASSWORD_KEY = 'credentials.mariadb';
+
+/**
+ * Gets the managed MariaDB root password
+ * @returns {string} Decrypted password, empty if none is set
+ */
+export function getMariaDBPassword() {
+  const encrypted = settings.getSync(MARIADB_PASSWORD_KEY);
+  if (!encrypted) return '';
+
+  try {
+    return safeStorage.decryptString(Buffer.from(encrypted, 'base64'));
+  } catch (error) {
+    // Happens if the settings were copied from another user account or machine
+    logger.error('Failed to decrypt the MariaDB root password', error);
+    return '';
+  }
+}
+
+/**
+ * Checks whether a MariaDB root password is set
+ * @returns {boolean}
+ */
+export function hasMariaDBPassword() {
+  return settings.hasSync(MARIADB_PASSWORD_KEY);
+}
+
+/**
+ * Encrypts the MariaDB root password with the OS credential store of the user
+ * @param {string} password - Password to encrypt
+ * @returns {string} Encrypted password in base64
+ * @throws {Error} If encryption is not available
+ * @private
+ */
+function encryptMariaDBPassword(password) {
+  if (!safeStorage.isEncryptionAvailable()) {
+    throw new Error('Secure password storage is not available on this system');
+  }
+
+  return safeStorage.encryptString(password).toString('base64');
+}
+
+/**
+ * Gets the environment for MariaDB client tools, passing the root password without exposing it
+ * on the command line
+ * @param {string} [password] - Password to use, defaults to the managed password
+ * @returns {Object} Environment variables
+ */
+export function getMariaDBClientEnv(password = getMariaDBPassword()) {
+  return { ...process.env, MYSQL_PWD: password };
+}
+
+/**
+ * Escapes a value for a single-quoted SQL or PHP string literal
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ * @private
+ */
+function escapeQuoted(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Runs SQL as root with the MariaDB command line client
+ * @param {string} sql - Statements to run, passed via stdin
+ * @param {string} password - Current root password
+ * @returns {Promise<string>} Tab separated output without column names
+ * @throws {Error} If the client is missing or the statements fail
+ * @private
+ */
+function runMariaDBQuery(sql, password) {
+  const binPath = path.join(config.paths.services, 'mariadb', 'bin');
+
+  // Newer releases name the client mariadb, older ones only ship mysql
+  const clientPath = ['mariadb', 'mysql']
+    .map(name => path.join(binPath, platform.getExecutableName(name)))
+    .find(candidate => fs.existsSync(candidate));
+
+  if (!clientPath) {
+    return Promise.reject(new Error('MariaDB client not found'));
+  }
+
+  const { host, port } = getServiceEndpoint('mariadb');
+
+  return new Promise((resolve, reject) => {
+    const client = spawn(
+      clientPath,
+      ['-u', 'root', `--host=${host}`, `--port=${port}`, '--batch', '--skip-column-names'],
+      {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        windowsHide: true,
+        env: getMariaDBClientEnv(password),
+      }
+    );
+
+    let output = '';
+    let stderr = '';
+    client.stdout.on('data', data => (output += data.toString()));
+    client.stderr.on('data', data => (stderr += data.toString()));
+
+    client.on('exit', code =>
+      code === 0 ? resolve(output) : reject(new Error(stderr.trim() || `Exit code ${code}`))
+    );
+    client.on('error', reject);
+
+    client.stdin.end(sql);
+  });
+}
+
+/**
+ * Creates the statements that set the password of every root account
+ * @param {string[]} hosts - Hosts of the root accounts
+ * @param {string} password - Password to set
+ * @returns {string} SQL statements
+ * @private
+ */
+function createRootPasswordStatements(hosts, password) {
+  return hosts
+    .map(
+      host => `ALTER USER 'root'@'${escapeQuoted(host)}' IDENTIFIED BY '${escapeQuoted(password)}';`
+    )
+    .join('\n');
+}
+
+/**
+ * Changes the MariaDB root password and updates everything that uses it
+ *
+ * MariaDB has to be running. The password is encrypted first, so it is never changed without
+ * being stored. It is then changed for every root account (e.g. localhost and 127.0.0.1) and
+ * written into phpMyAdmin's config.
+ *
+ * @param {string} password - New password, an empty password removes it
+ * @returns {Promise<void>}
+ * @throws {Error} If the password cannot be stored or MariaDB rejects the change
+ */
+export async function changeMariaDBPassword(password) {
+  const currentPassword = getMariaDBPassword();
+  const encrypted = password ? encryptMariaDBPassword(password) : null;
+
+  const hosts = (
+    await runMariaDBQuery("SELECT Host FROM mysql.user WHERE User = 'root';", currentPassword)
+  )
+    .split(/\r?\n/)
+    .filter(Boolean);
+
+  await runMariaDBQuery(createRootPasswordStatements(hosts, password), currentPassword);
+
+  try {
+    if (encrypted) {
+      settings.setSync(MARIADB_PASSWORD_KEY, encrypted);
+    } else {
+      settings.unsetSync(MARIADB_PASSWORD_KEY);
+    }
+  } catch (error) {
+    // Without the stored password root would be locked out, so restore the previous one
+    await runMariaDBQuery(createRootPasswordStatements(hosts, currentPassword), password);
+    throw new Error('Failed to store the MariaDB root password', { cause: error });
+  }
+
+  updatePhpMyAdminConfig(password);
+  logger.info(password ? 'Changed the MariaDB root password' : 'Removed the MariaDB root password');
+}
+
+/**
+ * Sets the managed root password on a freshly created data directory
+ *
+ * The install scripts could only take the password as an argument, which would expose it in the
+ * process list. The statements are passed via stdin and run in bootstrap mode, so MariaDB must
+ * not be running yet.
+ *
+ * @param {string} servicePath - MariaDB installation path
+ * @returns {Promise<void>}
+ * @throws {Error} If the bootstrap fails
+ */
+export function bootstrapMariaDBPassword(servicePath) {
+  const password = getMariaDBPassword();
+  if (!password) return Promise.resolve();
+
+  const { executable, executablePath, configFile } = config.services.mariadb;
+  // The Windows installer also creates root accounts for the loopback addresses
+  const statements = [
+    'FLUSH PRIVILEGES;',
+    ...['localhost', '127.0.0.1', '::1'].map(
+      host => `ALTER USER IF EXISTS 'root'@'${host}' IDENTIFIED BY '${escapeQuoted(password)}';`
+    ),
+  ];
+
+  return new Promise((resolve, reject) => {
+    const server = spawn(
+      path.join(servicePath, executablePath, executable),
+      [`--defaults-file=${configFile}`, '--bootstrap'],
+      { cwd: servicePath, stdio: ['pipe', 'ignore', 'pipe'], windowsHide: true }
+    );
+
+    let stderr = '';
+    server.stderr.on('data', data => (stderr += data.toString()));
+
+    server.on('exit', code =>
+      code === 0
+        ? resolve()
+        : reject(new Error(`Failed to set the root password: ${stderr.trim() || code}`))
+    );
+    server.on('error', reject);
+
+    server.stdin.end(statements.join('\n'));
+  });
+}
+
+/**
+ * Writes the root credentials into a phpMyAdmin config
+ * @param {string} content - Content of config.inc.php
+ * @param {string} [password] - Root password, defaults to the managed password
+ * @returns {string} Updated content
+ */
+export function renderPhpMyAdminCredentials(content, password = getMariaDBPassword()) {
+  const credentials = [
+    "$cfg['Servers'][$i]['user'] = 'root';",
+    `$cfg['Servers'][$i]['password'] = '${escapeQuoted(password)}';`,
+  ].join('\n');
+
+  // Replace existing credentials, otherwise add them after the host. Replacer functions keep
+  // `$` patterns in the password from being interpreted.
+  let updated = content
+    .replace(/\$cfg\['Servers'\]\[\$i\]\['user'\]\s*=\s*'[^']*';\r?\n?/, '')
+    .replace(/\$cfg\['Servers'\]\[\$i\]\['password'\]\s*=\s*'(?:[^'\\]|\\.)*';/, () => credentials);
+
+  if (!updated.includes(credentials)) {
+    updated = updated.replace(
+      /\$cfg\['Servers'\]\[\$i\]\['host'\][^;]*;/,
+      host => `${host}\n${credentials}`
+    );
+  }
+
+  return updated.replace(
+    /\$cfg\['Servers'\]\[\$i\]\['AllowNoPassword'\]\s*=\s*[^;]*/,
+    `$cfg['Servers'][$i]['AllowNoPassword'] = ${password ? 'false' : 'true'}`
+  );
+}
+
+/**
+ * Updates the credentials in the installed phpMyAdmin config
+ * @param {string} password - Root password
+ * @private
+ */
+function updatePhpMyAdminConfig(password) {
+  const configPath = path.join(
+    config.paths.services,
+    'phpmyadmin',
+    config.services.phpmyadmin.configFile
+  );
+  if (!fs.existsSync(configPath)) return;
+
+  const content = fs.readFileSync(configPath, 'utf8');
+  fs.writeFileSync(configPath, renderPhpMyAdminCredentials(content, password));
+}
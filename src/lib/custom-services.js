@@ -0,0 +1,121 @@
+import path from 'node:path';
+
+import settings from 'electron-settings';
+
+import config from '../config.js';
+import { getStartupOrder } from './dependency-graph.js';
+import logger from './logger.js';
+import platform from './platform/index.js';
+
+/** @type {RegExp} Valid IDs, which are used as folder names and must not contain '-' (see version folders) */
+const SERVICE_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Converts a custom service definition from the settings into a service configuration
+ * @param {string} serviceId - Service identifier
+ * @param {Object} definition - Definition from the `customServices` setting
+ * @returns {Object} Service configuration in the format of config.services
+ * @throws {Error} If the definition is invalid
+ * @private
+ */
+function toServiceConfig(serviceId, definition) {
+  if (!SERVICE_ID_PATTERN.test(serviceId)) {
+    throw new Error('IDs may only contain lowercase letters, digits and underscores');
+  }
+  if (config.services[serviceId]) {
+    throw new Error('the ID is already used by another service');
+  }
+  if (typeof definition?.executable !== 'string' || !definition.executable) {
+    throw new Error('"executable" is required');
+  }
+
+  const ports = definition.ports ?? [];
+  if (!Array.isArray(ports) || !ports.every(port => Number.isInteger(port) && port > 0)) {
+    throw new Error('"ports" must be a list of port numbers');
+  }
+
+  // Executables without extension get the platform's one (e.g. redis-server.exe on Windows)
+  const executable = path.extname(definition.executable)
+    ? path.basename(definition.executable)
+    : platform.getExecutableName(path.basename(definition.executable));
+  const executableDir = path.dirname(definition.executable);
+
+  // Arguments with {host} or {port} follow the endpoint, so the service can be moved to another
+  // port when its port is taken
+  const args = definition.args ?? [];
+  const usesEndpoint = args.some(arg => /\{(?:host|port)\}/.test(arg));
+
+  return {
+    name: definition.name || serviceId,
+    custom: true,
+    executable,
+    // Relative to the service folder, or absolute for executables installed elsewhere
+    ...(executableDir !== '.' && { executablePath: executableDir }),
+    processArgs: usesEndpoint
+      ? ({ host, port }) =>
+          args.map(arg => arg.replaceAll('{host}', host).replaceAll('{port}', String(port)))
+      : args,
+    env: definition.env ?? {},
+    cwd: definition.cwd,
+    configFile: definition.configFile,
+    preserve: definition.preserve ?? [],
+    host: definition.host || '127.0.0.1',
+    port: ports[0],
+    extraPorts: ports.slice(1),
+    dependsOn: definition.dependsOn ?? [],
+    restartPolicy: definition.restartPolicy || 'on-failure',
+    // Services with ports are ready once they accept connections
+    ...(ports.length > 0 && { healthCheck: { type: 'tcp' } }),
+    downloadUrl: definition.downloadUrl,
+    version: definition.version,
+  };
+}
+
+/**
+ * Adds the services declared in the `customServices` setting to config.services
+ *
+ * Custom services are supervised, monitored and shown in the tray like the built-in services.
+ * Invalid definitions are skipped with an error in the log, so one typo does not keep the other
+ * services from starting.
+ *
+ * @returns {string[]} IDs of the registered services
+ */
+export function registerCustomServices() {
+  const definitions = settings.getSync('customServices') || {};
+  const registered = [];
+
+  for (const [serviceId, definition] of Object.entries(definitions)) {
+    try {
+      config.services[serviceId] = toServiceConfig(serviceId, definition);
+      registered.push(serviceId);
+    } catch (error) {
+      logger.error(`Invalid custom service "${serviceId}": ${error.message}`);
+    }
+  }
+
+  // Dependencies can only be checked once all custom services are known. Removing a service
+  // may invalidate services depending on it, so check again until all are valid.
+  let invalidId;
+  do {
+    invalidId = registered.find(serviceId => {
+      try {
+        getStartupOrder([serviceId]);
+        return false;
+      } catch (error) {
+        logger.error(`Invalid custom service "${serviceId}": ${error.message}`);
+        return true;
+      }
+    });
+
+    if (invalidId) {
+      delete config.services[invalidId];
+      registered.splice(registered.indexOf(invalidId), 1);
+    }
+  } while (invalidId);
+
+  if (registered.length > 0) {
+    logger.info(`Registered custom services: ${registered.join(', ')}`);
+  }
+
+  return registered;
+}
@@ -0,0 +1,78 @@
+import config from '../config.js';
+
+/**
+ * Gets the services a service directly depends on
+ * @param {string} serviceId - Service identifier
+ * @returns {string[]} Service IDs from the service's `dependsOn`
+ */
+export function getDependencies(serviceId) {
+  return config.services[serviceId]?.dependsOn || [];
+}
+
+/**
+ * Orders services so that every service comes after its dependencies
+ *
+ * Services without dependencies between them keep their declaration order.
+ *
+ * @param {string[]} [serviceIds] - Services to order, defaults to all configured services
+ * @returns {string[]} Service IDs in startup order
+ * @throws {Error} If a dependency is unknown or the dependencies contain a cycle
+ */
+export function getStartupOrder(serviceIds = Object.keys(config.services)) {
+  const order = [];
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (serviceId, path) => {
+    if (visited.has(serviceId)) return;
+    if (!config.services[serviceId]) {
+      throw new Error(`Unknown service "${serviceId}" in dependencies of ${path.at(-1)}`);
+    }
+    if (visiting.has(serviceId)) {
+      throw new Error(`Circular service dependency: ${[...path, serviceId].join(' -> ')}`);
+    }
+
+    visiting.add(serviceId);
+    for (const dependency of getDependencies(serviceId)) {
+      visit(dependency, [...path, serviceId]);
+    }
+    visiting.delete(serviceId);
+
+    visited.add(serviceId);
+    order.push(serviceId);
+  };
+
+  for (const serviceId of Object.keys(config.services)) {
+    visit(serviceId, []);
+  }
+
+  return order.filter(serviceId => serviceIds.includes(serviceId));
+}
+
+/**
+ * Orders services so that every service comes before its dependencies
+ * @param {string[]} [serviceIds] - Services to order, defaults to all configured services
+ * @returns {string[]} Service IDs in shutdown order
+ */
+export function getShutdownOrder(serviceIds) {
+  return getStartupOrder(serviceIds).reverse();
+}
+
+/**
+ * Gets all services that directly or indirectly depend on a service
+ * @param {string} serviceId - Service identifier
+ * @returns {string[]} Dependent service IDs in startup order
+ */
+export function getDependents(serviceId) {
+  const dependents = new Set();
+
+  // Startup order guarantees dependencies are seen before their dependents
+  for (const candidate of getStartupOrder()) {
+    const dependencies = getDependencies(candidate);
+    if (dependencies.some(id => id === serviceId || dependents.has(id))) {
+      dependents.add(candidate);
+    }
+  }
+
+  return Array.from(dependents);
+}
@@ -0,0 +1,207 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import settings from 'electron-settings';
+
+import config from '../config.js';
+import logger from './logger.js';
+
+/** @type {string} Name of the file mapping download URLs to cached archives */
+const INDEX_NAME = 'index.json';
+
+/** @type {RegExp} Names of cached archives, anything else in the folder is never touched */
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Gets the size limit of the cache from the `downloadCacheSize` setting or config.downloadCache
+ * @returns {number} Size limit in bytes, 0 or less disables the cache
+ * @private
+ */
+function getMaxSize() {
+  return settings.getSync('downloadCacheSize') ?? config.downloadCache.maxSize;
+}
+
+/**
+ * Reads the cache index
+ * @returns {Record<string, {size: number, label: string, sources: {url: string, version: string}[], lastUsed: number}>}
+ *   Cached archives by their SHA-256 hash
+ * @private
+ */
+function readIndex() {
+  let index;
+  try {
+    index = JSON.parse(fs.readFileSync(path.join(config.paths.cache, INDEX_NAME), 'utf8'));
+  } catch {
+    // No cache yet, or an index that was cut off while being written
+    return {};
+  }
+
+  // A shared index may be edited by others, so only well-formed entries are used
+  return Object.fromEntries(
+    Object.entries(index).filter(
+      ([hash, entry]) => HASH_PATTERN.test(hash) && Array.isArray(entry?.sources)
+    )
+  );
+}
+
+/**
+ * Writes the cache index, through a temporary file so other instances never read half of it
+ * @param {Object} index - Cached archives by their SHA-256 hash
+ * @private
+ */
+function writeIndex(index) {
+  const indexPath = path.join(config.paths.cache, INDEX_NAME);
+  const tempPath = `${indexPath}.${process.pid}.tmp`;
+
+  fs.mkdirSync(config.paths.cache, { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tempPath, indexPath);
+}
+
+/**
+ * Calculates the hash an archive is stored under
+ * @param {Buffer} buffer - Archive data
+ * @returns {string} SHA-256 hash in hex
+ * @private
+ */
+function hashArchive(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Gets a cached archive of a version downloaded from a URL
+ *
+ * The version is part of the key, as a URL may serve newer versions over time (e.g. a custom
+ * service pointing at its latest release). Archives whose content no longer matches their hash
+ * are removed, so a damaged file on a shared drive is downloaded again instead of failing the
+ * installation.
+ *
+ * @param {string} url - Download URL
+ * @param {string} version - Version the archive contains
+ * @returns {Buffer|null} Archive data, or null if the version is not cached
+ */
+export function getCachedArchive(url, version) {
+  if (getMaxSize() <= 0) return null;
+
+  const index = readIndex();
+  const hash = Object.keys(index).find(key =>
+    index[key].sources.some(source => source.url === url && source.version === version)
+  );
+  if (!hash) return null;
+
+  try {
+    const buffer = fs.readFileSync(path.join(config.paths.cache, hash));
+    if (hashArchive(buffer) !== hash) {
+      throw new Error('Content does not match its hash');
+    }
+
+    index[hash].lastUsed = Date.now();
+    writeIndex(index);
+    return buffer;
+  } catch (error) {
+    logger.warn(`Removing cached archive of ${url} ${version}: ${error.message}`);
+    fs.rmSync(path.join(config.paths.cache, hash), { force: true });
+    delete index[hash];
+    writeIndex(index);
+    return null;
+  }
+}
+
+/**
+ * Stores a downloaded archive and evicts the least recently used archives beyond the size limit
+ *
+ * Failures are only logged, as the download itself succeeded.
+ *
+ * @param {string} url - Download URL
+ * @param {string} version - Version the archive contains
+ * @param {Buffer} buffer - Archive data
+ * @param {string} label - Description of the archive (e.g. "PHP 8.4.1")
+ */
+export function cacheArchive(url, version, buffer, label) {
+  const maxSize = getMaxSize();
+  if (buffer.length > maxSize) return;
+
+  try {
+    const hash = hashArchive(buffer);
+    const archivePath = path.join(config.paths.cache, hash);
+    const index = readIndex();
+
+    // Identical archives behind different URLs or versions are stored once
+    if (!fs.existsSync(archivePath)) {
+      fs.mkdirSync(config.paths.cache, { recursive: true });
+      fs.writeFileSync(`${archivePath}.${process.pid}.tmp`, buffer);
+      fs.renameSync(`${archivePath}.${process.pid}.tmp`, archivePath);
+    }
+
+    // The download may have replaced an archive cached for the same URL and version
+    for (const [key, entry] of Object.entries(index)) {
+      entry.sources = entry.sources.filter(
+        source => source.url !== url || source.version !== version
+      );
+      if (entry.sources.length === 0 && key !== hash) {
+        fs.rmSync(path.join(config.paths.cache, key), { force: true });
+        delete index[key];
+      }
+    }
+
+    index[hash] = {
+      size: buffer.length,
+      label,
+      sources: [...(index[hash]?.sources ?? []), { url, version }],
+      lastUsed: Date.now(),
+    };
+
+    evictArchives(index, maxSize);
+    writeIndex(index);
+  } catch (error) {
+    logger.warn(`Failed to cache ${label}`, error);
+  }
+}
+
+/**
+ * Removes the least recently used archives from the index until it fits the size limit
+ * @param {Object} index - Cached archives by their SHA-256 hash, modified in place
+ * @param {number} maxSize - Size limit in bytes
+ * @private
+ */
+function evictArchives(index, maxSize) {
+  const hashes = Object.keys(index).sort((a, b) => index[a].lastUsed - index[b].lastUsed);
+  let size = hashes.reduce((total, hash) => total + index[hash].size, 0);
+
+  for (const hash of hashes) {
+    if (size <= maxSize) break;
+
+    fs.rmSync(path.join(config.paths.cache, hash), { force: true });
+    size -= index[hash].size;
+    logger.info(`Removed ${index[hash].label} from the download cache`);
+    delete index[hash];
+  }
+}
+
+/**
+ * Gets the number and total size of the cached archives
+ * @returns {{count: number, size: number}} Cache usage, size in bytes
+ */
+export function getCacheInfo() {
+  const entries = Object.values(readIndex());
+  return {
+    count: entries.length,
+    size: entries.reduce((total, entry) => total + entry.size, 0),
+  };
+}
+
+/**
+ * Removes all cached archives
+ *
+ * Only the archives listed in the index and the index itself are removed, as the cache may share
+ * its folder with other files, e.g. on a network drive.
+ */
+export function clearCache() {
+  for (const hash of Object.keys(readIndex())) {
+    fs.rmSync(path.join(config.paths.cache, hash), { force: true });
+  }
+
+  fs.rmSync(path.join(config.paths.cache, INDEX_NAME), { force: true });
+  logger.info('Cleared the download cache');
+}
@@ -5,7 +5,20 @@ import os from 'node:os';
 import path from 'node:path';
 
 import config from '../config.js';
+import { getBackupPath, pruneBackups, saveBackupManifest } from './backups.js';
+import { renderPhpMyAdminCredentials } from './credentials.js';
+import { cacheArchive, getCachedArchive } from './download-cache.js';
 import logger from './logger.js';
+import platform from './platform/index.js';
+import {
+  getFastCgiAddress,
+  getServicePort,
+  renderPhpMyAdminServer,
+  renderPhpUpstream,
+} from './port-manager.js';
+
+/** @type {RegExp} Finds the version in the output of e.g. `nginx -v` or `mysqld --version` */
+const VERSION_OUTPUT_PATTERN = /(\d+\.\d+(?:\.\d+)*(?:-?(?:alpha|beta|rc)\.?\d*)?)/i;
 
 /**
  * Downloads, extracts, and configures a service package
@@ -14,16 +27,12 @@ import logger from './logger.js';
  * @param {string} service.name - Service display name
  * @param {string} service.version - Version to download
  * @param {string} service.downloadUrl - Download URL
+ * @param {string} [service.previousVersion] - Installed version, whose replaced files are kept as a backup
  * @returns {Promise<void>}
  * @throws {Error} If download, extraction, or configuration fails
  */
 export async function downloadService(service) {
-  const servicePath = path.join(config.paths.services, service.id);
-  const isFirstInstall = !fs.existsSync(servicePath);
-  const tempPath = path.join(
-    os.tmpdir(),
-    `wemp-${service.id}-${crypto.randomBytes(8).toString('hex')}`
-  );
+  const tempPath = createTempPath(service.id);
 
   try {
     fs.mkdirSync(tempPath, { recursive: true });
@@ -32,21 +41,15 @@ export async function downloadService(service) {
     const buffer = await fetchPackage(service);
 
     // Extract to temp directory
-    await extractZipBuffer(buffer, tempPath);
+    await extractArchiveBuffer(buffer, service.downloadUrl, tempPath);
 
-    // Flatten extraction if ZIP contains a single root folder
+    // Flatten extraction if the archive contains a single root folder
     flattenExtraction(tempPath);
 
     // Verify critical service files exist after extraction
     verifyServiceFiles(tempPath, service);
 
-    // Only modify configs on first install to preserve user changes
-    if (isFirstInstall) {
-      await modifyServiceConfigs(service, tempPath, servicePath);
-    }
-
-    // Move verified files to final location (atomic update)
-    installExtractedFiles(tempPath, servicePath, service);
+    await installPackage(service, tempPath);
 
     logger.info(`Downloaded and extracted ${service.name} ${service.version}`);
   } catch (error) {
@@ -58,13 +61,141 @@ export async function downloadService(service) {
 }
 
 /**
- * Downloads service package from remote URL
+ * Installs a service package from a local archive or an unpacked folder
+ *
+ * Goes through the same steps as downloadService, but the version is detected from the package's
+ * executable (e.g. `php-cgi -v`), as local packages carry no version information.
+ *
+ * @param {Object} service - Service configuration
+ * @param {string} service.id - Service identifier
+ * @param {string} service.name - Service display name
+ * @param {string} sourcePath - Path to a .zip or .tar.gz archive or an unpacked folder
+ * @param {(version: string) => Promise<{id: string, previousVersion?: string}>} getTarget - Gets
+ *   the installation folder and the version it replaces for the detected version
+ * @returns {Promise<string>} Detected version
+ * @throws {Error} If the package is invalid or its version cannot be detected
+ */
+export async function installLocalPackage(service, sourcePath, getTarget) {
+  const tempPath = createTempPath(service.id);
+
+  try {
+    fs.mkdirSync(tempPath, { recursive: true });
+
+    // The source is copied, so it stays untouched when files are moved into place
+    if (fs.statSync(sourcePath).isDirectory()) {
+      fs.cpSync(sourcePath, tempPath, { recursive: true });
+    } else {
+      await platform.extractArchive(sourcePath, tempPath);
+    }
+
+    flattenExtraction(tempPath);
+    verifyServiceFiles(tempPath, service);
+
+    const version = await detectPackageVersion(tempPath, service);
+    await installPackage({ ...service, ...(await getTarget(version)), version }, tempPath);
+
+    logger.info(`Installed ${service.name} ${version} from ${sourcePath}`);
+    return version;
+  } catch (error) {
+    logger.error(`Failed to install ${service.name} from ${sourcePath}`, error);
+    throw error;
+  } finally {
+    if (fs.existsSync(tempPath)) fs.rmSync(tempPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Creates the path of a temporary folder to prepare a package in
+ * @param {string} id - Service or version folder name
+ * @returns {string} Temporary path, not created yet
+ * @private
+ */
+function createTempPath(id) {
+  return path.join(os.tmpdir(), `wemp-${id}-${crypto.randomBytes(8).toString('hex')}`);
+}
+
+/**
+ * Moves a prepared package into its installation folder
+ * @param {Object} service - Service configuration with the `id` of the installation folder
+ * @param {string} tempPath - Temporary path with the verified package
+ * @returns {Promise<void>}
+ * @private
+ */
+async function installPackage(service, tempPath) {
+  const servicePath = path.join(config.paths.services, service.id);
+  const isFirstInstall = !fs.existsSync(servicePath);
+
+  // Only modify configs on first install to preserve user changes
+  if (isFirstInstall) {
+    await modifyServiceConfigs(service, tempPath, servicePath);
+  }
+
+  // Move verified files to final location (atomic update)
+  installExtractedFiles(tempPath, servicePath, service);
+
+  if (!isFirstInstall && service.previousVersion) {
+    pruneBackups(service.id);
+  }
+}
+
+/**
+ * Detects the version of a package by running its executable with the service's `versionArgs`
+ * @param {string} tempPath - Temporary path with the verified package
+ * @param {Object} service - Service configuration
+ * @returns {Promise<string>} Version (e.g. "8.4.1")
+ * @throws {Error} If the service has no version command or the output contains no version
+ * @private
+ */
+function detectPackageVersion(tempPath, service) {
+  const serviceConfig = config.services[service.id.split('-')[0]];
+  if (!serviceConfig?.versionArgs) {
+    return Promise.reject(new Error(`The version of ${service.name} cannot be detected`));
+  }
+
+  const executablePath = path.join(
+    tempPath,
+    serviceConfig.executablePath ?? '',
+    serviceConfig.executable
+  );
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(executablePath, serviceConfig.versionArgs, {
+      cwd: tempPath,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+
+    // nginx prints its version to stderr
+    let output = '';
+    child.stdout.on('data', data => (output += data.toString()));
+    child.stderr.on('data', data => (output += data.toString()));
+
+    child.on('exit', () => {
+      const version = output.match(VERSION_OUTPUT_PATTERN)?.[1];
+      if (version) {
+        resolve(version);
+      } else {
+        reject(new Error(`Could not detect the version of ${service.name}: ${output.trim()}`));
+      }
+    });
+    child.on('error', reject);
+  });
+}
+
+/**
+ * Downloads service package from remote URL, or takes it from the download cache
  * @param {Object} service - Service configuration with downloadUrl
  * @returns {Promise<Buffer>} Package data as buffer
  * @throws {Error} If download fails
  * @private
  */
 async function fetchPackage(service) {
+  const cached = getCachedArchive(service.downloadUrl, service.version);
+  if (cached) {
+    logger.info(`Using cached ${service.name} ${service.version} package`);
+    return cached;
+  }
+
   let response = await fetch(service.downloadUrl, {
     signal: AbortSignal.timeout(config.api.timeout * 18), // allow ~3 min for large packages
   });
@@ -89,57 +220,32 @@ async function fetchPackage(service) {
     );
   }
 
-  return Buffer.from(await response.arrayBuffer());
+  const buffer = Buffer.from(await response.arrayBuffer());
+  cacheArchive(service.downloadUrl, service.version, buffer, `${service.name} ${service.version}`);
+
+  return buffer;
 }
 
 /**
- * Extracts ZIP archive using PowerShell Expand-Archive cmdlet
- * @param {Buffer} buffer - ZIP file data
+ * Extracts a downloaded package with the platform's archive tools
+ * @param {Buffer} buffer - Archive data
+ * @param {string} downloadUrl - URL the archive was downloaded from, to detect its format
  * @param {string} servicePath - Target extraction path
  * @returns {Promise<void>}
  * @throws {Error} If extraction fails
  * @private
  */
-async function extractZipBuffer(buffer, servicePath) {
-  const tempZipPath = path.join(servicePath, 'temp.zip');
+async function extractArchiveBuffer(buffer, downloadUrl, servicePath) {
+  // Windows builds are ZIP files, builds for other platforms are usually .tar.gz
+  const extension = new URL(downloadUrl).pathname.match(/\.(tar\.gz|tgz|zip)$/i)?.[0] || '.zip';
+  const tempArchivePath = path.join(servicePath, `temp${extension}`);
 
   try {
-    fs.writeFileSync(tempZipPath, buffer);
-
-    // Use PowerShell to extract ZIP with error capture
-    await new Promise((resolve, reject) => {
-      const powershell = spawn(
-        'powershell',
-        [
-          '-NoProfile',
-          '-Command',
-          `Expand-Archive -Path "${tempZipPath}" -DestinationPath "${servicePath}" -Force`,
-        ],
-        { stdio: 'pipe', windowsHide: true }
-      );
-
-      let stderr = '';
-      let stdout = '';
-      powershell.stderr?.on('data', data => {
-        stderr += data.toString();
-      });
-      powershell.stdout?.on('data', data => {
-        stdout += data.toString();
-      });
-
-      powershell.on('exit', code => {
-        if (code === 0) {
-          resolve();
-        } else {
-          const errorMsg = stderr || stdout || `PowerShell extraction failed with code ${code}`;
-          reject(new Error(errorMsg));
-        }
-      });
-      powershell.on('error', reject);
-    });
+    fs.writeFileSync(tempArchivePath, buffer);
+    await platform.extractArchive(tempArchivePath, servicePath);
   } finally {
-    // Clean up temp ZIP file
-    if (fs.existsSync(tempZipPath)) fs.unlinkSync(tempZipPath);
+    // Clean up temp archive
+    if (fs.existsSync(tempArchivePath)) fs.unlinkSync(tempArchivePath);
   }
 }
 
@@ -212,8 +318,9 @@ function verifyServiceFiles(tempPath, service) {
   const serviceConfig = config.services[baseServiceId];
   if (!serviceConfig) return;
 
-  // Skip verification for services without executables (e.g., phpMyAdmin)
-  if (!serviceConfig.executable) return;
+  // Skip verification for services without executables (e.g., phpMyAdmin) or with executables
+  // outside the package (custom services)
+  if (!serviceConfig.executable || path.isAbsolute(serviceConfig.executablePath ?? '')) return;
 
   // Build path to executable
   const executablePath = serviceConfig.executablePath
@@ -238,8 +345,17 @@ function verifyServiceFiles(tempPath, service) {
  * @private
  */
 function installExtractedFiles(tempPath, servicePath, service) {
+  const isUpdate = fs.existsSync(servicePath) && Boolean(service.previousVersion);
   fs.mkdirSync(servicePath, { recursive: true });
 
+  // Replaced files of an update are kept, so the previous version can be restored
+  const backupPath = isUpdate ? getBackupPath(service.id, service.previousVersion) : null;
+  const added = [];
+  if (backupPath) {
+    fs.rmSync(backupPath, { recursive: true, force: true });
+    fs.mkdirSync(backupPath, { recursive: true });
+  }
+
   for (const item of fs.readdirSync(tempPath)) {
     const destPath = path.join(servicePath, item);
 
@@ -250,12 +366,21 @@ function installExtractedFiles(tempPath, servicePath, service) {
     }
 
     // Replace existing files with new version
-    if (fs.existsSync(destPath)) {
+    if (!fs.existsSync(destPath)) {
+      added.push(item);
+    } else if (backupPath) {
+      safeRename(destPath, path.join(backupPath, item));
+    } else {
       fs.rmSync(destPath, { recursive: true, force: true });
     }
 
     safeRename(path.join(tempPath, item), destPath);
   }
+
+  if (backupPath) {
+    saveBackupManifest(backupPath, service.previousVersion, added);
+    logger.info(`Kept ${service.name} ${service.previousVersion} files as a backup`);
+  }
 }
 
 /**
@@ -337,8 +462,17 @@ function modifyNginxConfig(tempPath) {
       /fastcgi_param\s+SCRIPT_FILENAME\s+\/scripts\$fastcgi_script_name;/,
       'fastcgi_param  SCRIPT_FILENAME  $document_root$fastcgi_script_name;'
     );
+
+    // Point FastCGI to the php-cgi worker pool
+    configContent = configContent.replace(/(fastcgi_pass\s+)[^;]+;/, `$1${getFastCgiAddress()};`);
   }
 
+  // Define the upstream listing all php-cgi workers
+  configContent = renderPhpUpstream(configContent);
+
+  // Listen on the configured port
+  configContent = configContent.replace(/^(\s*listen\s+)80;/m, `$1${getServicePort('nginx')};`);
+
   // Enable directory listing
   configContent = configContent.replace(/(sendfile\s+on;)/, '$1\n    autoindex       on;');
 
@@ -356,7 +490,7 @@ function modifyNginxConfig(tempPath) {
             index index.php;
 
             location ~ \\.php$ {
-                fastcgi_pass   127.0.0.1:9000;
+                fastcgi_pass   ${getFastCgiAddress()};
                 fastcgi_index  index.php;
                 fastcgi_param  SCRIPT_FILENAME  $request_filename;
                 include        fastcgi_params;
@@ -395,8 +529,8 @@ async function modifyPhpConfig(tempPath, finalPath) {
 
   let phpConfig = fs.readFileSync(configPath, 'utf8');
 
-  // Set extension directory (required for Windows)
-  if (!phpConfig.match(/^extension_dir\s*=\s*"ext"/m)) {
+  // Set extension directory (required for Windows, other builds have it compiled in)
+  if (process.platform === 'win32' && !phpConfig.match(/^extension_dir\s*=\s*"ext"/m)) {
     phpConfig = phpConfig.replace(/^;?\s*extension_dir\s*=\s*"ext"/m, 'extension_dir = "ext"');
   }
 
@@ -510,18 +644,9 @@ function modifyPhpMyAdminConfig(tempPath) {
     /\$cfg\['Servers'\]\[\$i\]\['auth_type'\]\s*=\s*'[^']*'/,
     "$cfg['Servers'][$i]['auth_type'] = 'config'"
   );
-  config = config.replace(
-    /\$cfg\['Servers'\]\[\$i\]\['AllowNoPassword'\]\s*=\s*[^;]*/,
-    "$cfg['Servers'][$i]['AllowNoPassword'] = true"
-  );
 
-  // Set default root credentials
-  if (!config.includes("['user']")) {
-    config = config.replace(
-      /(\$cfg\['Servers'\]\[\$i\]\['host'\][^;]*;)/,
-      "$1\n$cfg['Servers'][$i]['user'] = 'root';\n$cfg['Servers'][$i]['password'] = '';"
-    );
-  }
+  // Connect to the configured MariaDB endpoint as root with the managed password
+  config = renderPhpMyAdminCredentials(renderPhpMyAdminServer(config));
 
   fs.writeFileSync(configPath, config);
 }
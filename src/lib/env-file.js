@@ -0,0 +1,102 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import logger from './logger.js';
+
+/** @type {string} Name of the environment file in each service folder */
+const ENV_FILE_NAME = '.env';
+
+/** @type {string} Content of newly created environment files */
+const ENV_FILE_TEMPLATE = `# Environment variables for this service, one KEY=value per line.
+# Changes are applied by restarting the service automatically.
+# APP_ENV=local
+`;
+
+/**
+ * Gets the path of the environment file of a service
+ * @param {string} servicePath - Path to service installation
+ * @returns {string} Path to the .env file
+ */
+export function getEnvFilePath(servicePath) {
+  return path.join(servicePath, ENV_FILE_NAME);
+}
+
+/**
+ * Parses the content of an environment file
+ *
+ * Supports `KEY=value` lines with optional `export` prefix, single or double quoted values
+ * (double quoted values may contain \n escapes) and comments starting with #.
+ *
+ * @param {string} content - File content
+ * @returns {Object<string, string>} Variables
+ */
+export function parseEnvFile(content) {
+  const variables = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/);
+    if (!match) continue;
+
+    const [, key, rawValue] = match;
+    const quote = rawValue[0];
+
+    if ((quote === '"' || quote === "'") && rawValue.endsWith(quote) && rawValue.length > 1) {
+      const value = rawValue.slice(1, -1);
+      variables[key] = quote === '"' ? value.replace(/\\n/g, '\n').replace(/\\"/g, '"') : value;
+    } else {
+      // Unquoted values end at an inline comment
+      variables[key] = rawValue.replace(/\s+#.*$/, '');
+    }
+  }
+
+  return variables;
+}
+
+/**
+ * Loads the environment file of a service
+ * @param {string} servicePath - Path to service installation
+ * @returns {Object<string, string>} Variables, empty if the service has no .env file
+ */
+export function loadEnvFile(servicePath) {
+  const envPath = getEnvFilePath(servicePath);
+
+  try {
+    return parseEnvFile(fs.readFileSync(envPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Failed to read ${envPath}:`, error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Creates the environment file of a service with a short explanation if it does not exist
+ * @param {string} servicePath - Path to service installation
+ * @returns {string} Path to the .env file
+ */
+export function ensureEnvFile(servicePath) {
+  const envPath = getEnvFilePath(servicePath);
+
+  if (!fs.existsSync(envPath)) {
+    fs.mkdirSync(servicePath, { recursive: true });
+    fs.writeFileSync(envPath, ENV_FILE_TEMPLATE);
+  }
+
+  return envPath;
+}
+
+/**
+ * Copies the environment file to another installation of a service, e.g. a new PHP version
+ * @param {string} sourcePath - Current service installation
+ * @param {string} targetPath - New service installation
+ */
+export function copyEnvFile(sourcePath, targetPath) {
+  const sourceEnvPath = getEnvFilePath(sourcePath);
+  const targetEnvPath = getEnvFilePath(targetPath);
+
+  if (fs.existsSync(sourceEnvPath) && !fs.existsSync(targetEnvPath)) {
+    fs.copyFileSync(sourceEnvPath, targetEnvPath);
+    logger.info(`Copied ${sourceEnvPath} to ${targetPath}`);
+  }
+}
@@ -0,0 +1,37 @@
+import settings from 'electron-settings';
+
+import config from '../config.js';
+
+/**
+ * Whether Wemp runs headless, i.e. without tray icon and dialogs (e.g. on build agents)
+ *
+ * Enabled with the `--headless` command line flag or the `WEMP_HEADLESS=1` environment variable.
+ *
+ * @type {boolean}
+ */
+export const isHeadless = process.argv.includes('--headless') || process.env.WEMP_HEADLESS === '1';
+
+/**
+ * Gets an option that replaces an interactive prompt in headless mode
+ *
+ * Command line flags (`--<name>=<value>`, or `--<name>` for true) take precedence over the
+ * `headless.<name>` setting, which takes precedence over the defaults in config.headless.
+ *
+ * @param {string} name - Option name in kebab-case (e.g. 'update-retries')
+ * @returns {string|number|boolean|undefined} Option value, numeric values are converted
+ */
+export function getHeadlessOption(name) {
+  const prefix = `--${name}=`;
+  const flag = process.argv.find(arg => arg === `--${name}` || arg.startsWith(prefix));
+
+  if (flag !== undefined) {
+    if (flag === `--${name}`) return true;
+
+    const value = flag.slice(prefix.length);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+  }
+
+  const key = name.replace(/-(\w)/g, (_, char) => char.toUpperCase());
+  return settings.getSync(`headless.${key}`) ?? config.headless[key];
+}
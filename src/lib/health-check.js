@@ -0,0 +1,86 @@
+import net from 'node:net';
+
+import config from '../config.js';
+
+/**
+ * Checks whether a TCP connection to the given address can be established
+ * @param {Object} check - Health check definition
+ * @param {string} check.host - Host to connect to
+ * @param {number} check.port - Port to connect to
+ * @returns {Promise<boolean>} True if the connection succeeded
+ */
+export function probeTcp({ host, port }) {
+  return new Promise(resolve => {
+    const socket = net.connect({ host, port });
+
+    const finish = result => {
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(config.healthCheck.probeTimeout, () => finish(false));
+    socket.once('connect', () => finish(true));
+    socket.once('error', () => finish(false));
+  });
+}
+
+/**
+ * Checks whether an HTTP GET request gets a non-server-error response
+ * @param {Object} check - Health check definition
+ * @param {string} check.host - Host to request
+ * @param {number} check.port - Port to request
+ * @param {string} [check.path] - Path to request (defaults to '/')
+ * @returns {Promise<boolean>} True if the server answered with a status below 500
+ */
+export async function probeHttp({ host, port, path = '/' }) {
+  try {
+    const response = await fetch(`http://${host}:${port}${path}`, {
+      redirect: 'manual',
+      signal: AbortSignal.timeout(config.healthCheck.probeTimeout),
+    });
+    return response.status < 500;
+  } catch {
+    return false;
+  }
+}
+
+// Map of health check types to their probe functions
+const probes = {
+  tcp: probeTcp,
+  http: probeHttp,
+};
+
+/**
+ * Runs a single health check probe
+ * @param {Object} check - Health check definition with a `type` of 'tcp' or 'http'
+ * @returns {Promise<boolean>} True if the probe passed
+ * @throws {Error} If the health check type is unknown
+ */
+export function runProbe(check) {
+  const probe = probes[check.type];
+  if (!probe) {
+    throw new Error(`Unknown health check type: ${check.type}`);
+  }
+  return probe(check);
+}
+
+/**
+ * Repeatedly probes a service until it passes, the process exits, or the timeout is reached
+ * @param {Object} check - Health check definition
+ * @param {Object} options - Wait options
+ * @param {number} options.timeout - Maximum time to wait in ms
+ * @param {function(): boolean} options.isAlive - Returns false once the process has exited
+ * @returns {Promise<boolean>} True if the probe passed within the timeout
+ */
+export async function waitUntilHealthy(check, { timeout, isAlive }) {
+  const deadline = Date.now() + timeout;
+
+  while (Date.now() < deadline) {
+    if (!isAlive()) return false;
+    if (await runProbe(check)) return isAlive();
+
+    await new Promise(resolve => setTimeout(resolve, config.healthCheck.interval));
+  }
+
+  return false;
+}
@@ -4,11 +4,13 @@ import path from 'node:path';
 import { app } from 'electron';
 
 import config from '../config.js';
+import { isHeadless } from './headless.js';
 
 /**
  * Application logger with file rotation and level-based output
  *
  * Provides colored console output in development and file-based logging in production.
+ * In headless mode, all messages are also written to stdout without colors.
  * Automatically rotates log files when size limit is reached.
  */
 class Logger {
@@ -21,6 +23,8 @@ class Logger {
     this.maxLogFiles = config.logger.maxLogFiles;
     /** @type {boolean} Whether running in development mode */
     this.isDevelopment = !app.isPackaged;
+    /** @type {boolean} Whether running without tray, logging to stdout */
+    this.isHeadless = isHeadless;
 
     /** @type {Object.<string, string>} ANSI color codes for console output */
     this.colors = {
@@ -154,13 +158,24 @@ class Logger {
   }
 
   /**
-   * Logs info level message (console only in dev)
+   * Writes a message to stdout in headless mode
+   * @param {string} message - Formatted message
+   * @private
+   */
+  writeToStdout(message) {
+    process.stdout.write(message + '\n');
+  }
+
+  /**
+   * Logs info level message (console only in dev, stdout in headless mode)
    * @param {string} message - Message to log
    * @param {...string} args - Additional arguments to append
    */
   info(message, ...args) {
     const fullMessage = args.length ? `${message} ${args.join(' ')}` : message;
-    if (this.isDevelopment) {
+    if (this.isHeadless) {
+      this.writeToStdout(this.formatMessage('info', fullMessage));
+    } else if (this.isDevelopment) {
       console.log(this.formatConsoleMessage('info', fullMessage));
     }
   }
@@ -172,7 +187,9 @@ class Logger {
    */
   warn(message, error = null) {
     const logMessage = this.formatMessage('warn', message, error);
-    if (this.isDevelopment) {
+    if (this.isHeadless) {
+      this.writeToStdout(logMessage);
+    } else if (this.isDevelopment) {
       console.warn(this.formatConsoleMessage('warn', message, error));
     }
     this.writeToFile(logMessage);
@@ -185,7 +202,9 @@ class Logger {
    */
   error(message, error = null) {
     const logMessage = this.formatMessage('error', message, error);
-    if (this.isDevelopment) {
+    if (this.isHeadless) {
+      this.writeToStdout(logMessage);
+    } else if (this.isDevelopment) {
       console.error(this.formatConsoleMessage('error', message, error));
     }
     this.writeToFile(logMessage);
@@ -0,0 +1,172 @@
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+import config from '../config.js';
+import { getMariaDBClientEnv } from './credentials.js';
+import logger from './logger.js';
+import platform from './platform/index.js';
+import { getServiceEndpoint } from './port-manager.js';
+import { compareVersions, getMajorMinor } from './version.js';
+
+/**
+ * Gets the installation directory of a MariaDB version
+ * @param {string} version - MariaDB version (e.g. "10.6.21")
+ * @returns {string} Path to the mariadb-<major.minor> directory
+ */
+export function getVersionPath(version) {
+  return path.join(config.paths.services, `mariadb-${getMajorMinor(version)}`);
+}
+
+/**
+ * Checks whether the data of one MariaDB version can be used by another
+ *
+ * MariaDB upgrades data of older versions, but cannot downgrade it.
+ *
+ * @param {string} sourceVersion - Version the data comes from
+ * @param {string} targetVersion - Version that should use the data
+ * @returns {boolean} True if the target series is the same or newer
+ */
+export function canMigrateData(sourceVersion, targetVersion) {
+  return compareVersions(getMajorMinor(targetVersion), getMajorMinor(sourceVersion)) >= 0;
+}
+
+/**
+ * Copies the data directory of one MariaDB version to another
+ *
+ * The existing data of the target version is kept as `data-backup-<timestamp>`. Both versions
+ * must be stopped.
+ *
+ * @param {string} sourceVersion - Version to copy the data from
+ * @param {string} targetVersion - Version to copy the data to
+ * @returns {Promise<string|null>} Path of the backup of the previous target data, or null if it
+ *   had none
+ * @throws {Error} If the source has no data or the data cannot be copied
+ */
+export async function copyData(sourceVersion, targetVersion) {
+  const sourcePath = getVersionPath(sourceVersion);
+  const targetPath = getVersionPath(targetVersion);
+  const sourceData = path.join(sourcePath, 'data');
+  const targetData = path.join(targetPath, 'data');
+
+  if (!fs.existsSync(sourceData)) {
+    throw new Error(`MariaDB ${sourceVersion} has no data directory`);
+  }
+
+  let backupPath = null;
+  if (fs.existsSync(targetData)) {
+    backupPath = `${targetData}-backup-${Date.now()}`;
+    fs.renameSync(targetData, backupPath);
+  }
+
+  await fs.promises.cp(sourceData, targetData, { recursive: true });
+
+  // my.ini may reference the installation directory of the source version (e.g. plugin-dir)
+  const iniPath = path.join(targetPath, config.services.mariadb.configFile);
+  if (fs.existsSync(iniPath)) {
+    const content = fs.readFileSync(iniPath, 'utf8');
+    fs.writeFileSync(iniPath, content.replaceAll(sourcePath, targetPath));
+  }
+
+  logger.info(`Copied MariaDB data from ${sourceVersion} to ${targetVersion}`);
+  return backupPath;
+}
+
+/**
+ * Copies the data directory of a MariaDB version, including my.ini, before the data changes
+ *
+ * Only the data is copied, replaced binaries are restored from the backup made by the update
+ * (see backups.js). The snapshot lives next to the installation as
+ * `mariadb-<major.minor>-snapshot`, which the version scan ignores. An older snapshot is replaced.
+ *
+ * @param {string} version - Any version of the series to snapshot
+ * @returns {Promise<string|null>} Path of the snapshot, or null if the version has no data
+ */
+export async function createSnapshot(version) {
+  const versionPath = getVersionPath(version);
+  const snapshotPath = `${versionPath}-snapshot`;
+  const dataPath = path.join(versionPath, 'data');
+
+  await fs.promises.rm(snapshotPath, { recursive: true, force: true });
+  if (!fs.existsSync(dataPath)) return null;
+
+  await fs.promises.cp(dataPath, snapshotPath, { recursive: true });
+
+  logger.info(`Created snapshot of ${dataPath}`);
+  return snapshotPath;
+}
+
+/**
+ * Replaces the data directory of a MariaDB version with its snapshot, which must be stopped
+ *
+ * Data created since the snapshot is removed, so a version without data before the snapshot
+ * gets none.
+ *
+ * @param {string} version - Any version of the series to restore
+ * @returns {Promise<void>}
+ */
+export async function restoreSnapshot(version) {
+  const versionPath = getVersionPath(version);
+  const snapshotPath = `${versionPath}-snapshot`;
+  const dataPath = path.join(versionPath, 'data');
+
+  await fs.promises.rm(dataPath, { recursive: true, force: true });
+  if (fs.existsSync(snapshotPath)) {
+    await fs.promises.rename(snapshotPath, dataPath);
+  }
+
+  logger.info(`Restored ${dataPath} from its snapshot`);
+}
+
+/**
+ * Removes the snapshot of a MariaDB version once it is no longer needed
+ * @param {string} version - Any version of the series
+ * @returns {Promise<void>}
+ */
+export function removeSnapshot(version) {
+  return fs.promises.rm(`${getVersionPath(version)}-snapshot`, { recursive: true, force: true });
+}
+
+/**
+ * Upgrades the system tables of the running MariaDB to its version
+ * @param {string} servicePath - MariaDB installation path
+ * @returns {Promise<void>}
+ * @throws {Error} If the upgrade tool is missing or fails
+ */
+export function runMariaDBUpgrade(servicePath) {
+  const binPath = path.join(servicePath, 'bin');
+
+  // Newer releases name the tool mariadb-upgrade, older ones only ship mysql_upgrade
+  const upgradePath = ['mariadb-upgrade', 'mysql_upgrade']
+    .map(name => path.join(binPath, platform.getExecutableName(name)))
+    .find(candidate => fs.existsSync(candidate));
+
+  if (!upgradePath) {
+    return Promise.reject(new Error('mariadb-upgrade not found'));
+  }
+
+  const { host, port } = getServiceEndpoint('mariadb');
+
+  return new Promise((resolve, reject) => {
+    const upgrade = spawn(upgradePath, ['-u', 'root', `--host=${host}`, `--port=${port}`], {
+      cwd: servicePath,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      windowsHide: true,
+      env: getMariaDBClientEnv(),
+    });
+
+    let output = '';
+    upgrade.stdout.on('data', data => (output += data.toString()));
+    upgrade.stderr.on('data', data => (output += data.toString()));
+
+    upgrade.on('exit', code => {
+      if (code === 0) {
+        logger.info(`mariadb-upgrade finished: ${output.trim().split('\n').at(-1) || 'OK'}`);
+        resolve();
+      } else {
+        reject(new Error(`mariadb-upgrade failed with code ${code}: ${output.trim()}`));
+      }
+    });
+    upgrade.on('error', reject);
+  });
+}
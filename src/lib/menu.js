@@ -1,13 +1,21 @@
+import fs from 'node:fs';
 import path from 'node:path';
 
-import { Menu, Tray, app, dialog, nativeImage, shell } from 'electron';
+import { Menu, Tray, app, clipboard, dialog, nativeImage, shell } from 'electron';
 import settings from 'electron-settings';
 
 import config from '../config.js';
+import { getMariaDBPassword, hasMariaDBPassword } from './credentials.js';
+import { getDependents } from './dependency-graph.js';
+import { clearCache, getCacheInfo } from './download-cache.js';
+import { ensureEnvFile } from './env-file.js';
 import logger from './logger.js';
+import { canMigrateData, getVersionPath } from './mariadb-data.js';
 import * as notifications from './notifications.js';
 import * as pathManager from './path-manager.js';
+import { getServiceUrl } from './port-manager.js';
 import { serviceManager } from './service-manager.js';
+import { compareVersionsDescending, getMajorMinor } from './version.js';
 
 import folderIcon from '../assets/folder.png?asset';
 import logIcon from '../assets/event-log.png?asset';
@@ -25,6 +33,15 @@ import wempIcon from '../assets/wemp.png?asset';
 /** @type {Tray|null} System tray instance */
 let tray;
 
+/** @type {boolean} Whether the service folders are in PATH, refreshed on full rebuilds */
+let pathIncludesServices = false;
+
+/** @type {boolean} Whether resource usage was sampled since the menu was last built */
+let usageChanged = false;
+
+/** @type {Object.<string, Object|null>} Worker pool state, counted when the menu is opened */
+let poolStats = {};
+
 /** @type {Object.<string, NativeImage>} Preloaded menu icons */
 const icons = {
   wemp: nativeImage.createFromDataURL(wempIcon),
@@ -48,7 +65,18 @@ export function createMenu() {
   tray = new Tray(icons.wemp);
   tray.setToolTip('Wemp - Click to manage services');
 
-  tray.on('click', () => {
+  tray.on('click', async () => {
+    // Usage and pool labels are only refreshed when the menu is opened. Rebuilding the menu on
+    // every sample would replace it while it is open, and counting pool connections spawns
+    // netstat or lsof.
+    const hasPools = Object.keys(config.services).some(
+      id => config.services[id].workers && serviceManager.getStatus()[id] !== 'stopped'
+    );
+    if (usageChanged || hasPools) {
+      await buildMenu({ refreshPath: false, refreshPools: hasPools }).catch(err =>
+        logger.error('Failed to build menu', err)
+      );
+    }
     tray.popUpContextMenu();
   });
 
@@ -56,22 +84,233 @@ export function createMenu() {
   const safeBuildMenu = () => buildMenu().catch(err => logger.error('Failed to build menu', err));
   serviceManager.on('service-started', safeBuildMenu);
   serviceManager.on('service-stopped', safeBuildMenu);
+  serviceManager.on('service-status-changed', safeBuildMenu);
+  serviceManager.on('service-worker-replaced', safeBuildMenu);
+  serviceManager.on('service-restarting', safeBuildMenu);
+  serviceManager.on('service-restart-failed', safeBuildMenu);
+  serviceManager.on('service-gave-up', safeBuildMenu);
+  serviceManager.on('updates-changed', safeBuildMenu);
   serviceManager.versionManager.on('version-changed', safeBuildMenu);
+  serviceManager.versionManager.on('version-removed', safeBuildMenu);
+  serviceManager.versionManager.on('pin-changed', safeBuildMenu);
+
+  // Resource usage changes often, so only the tooltip is updated right away
+  serviceManager.on('service-resources-updated', () => {
+    usageChanged = true;
+    updateToolTip();
+  });
 
   buildMenu();
 }
 
+/**
+ * Formats a memory size for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in MB
+ * @private
+ */
+function formatMemory(bytes) {
+  return `${Math.round(bytes / 1024 / 1024)} MB`;
+}
+
+/**
+ * Creates the menu item showing the release channel a service follows
+ * @param {string} serviceId - Service identifier
+ * @returns {Object[]} Menu item, none for services without channels
+ * @private
+ */
+function createChannelItems(serviceId) {
+  const channel = serviceManager.versionManager.getChannel(serviceId);
+  if (!channel) return [];
+
+  return [{ label: `Channel: ${config.services[serviceId].channels[channel]}`, enabled: false }];
+}
+
+/**
+ * Creates the menu items to pin the current version of a service or roll back its last update
+ * @param {string} serviceId - Service identifier
+ * @param {string} version - Current version of the service
+ * @returns {Object[]} Menu items, none for services without a known version
+ * @private
+ */
+function createVersionItems(serviceId, version) {
+  if (version === '0.0.0') return [];
+
+  const serviceName = config.services[serviceId].name;
+  const items = [
+    {
+      label: `Pin Version ${version}`,
+      type: 'checkbox',
+      checked: serviceManager.versionManager.isVersionPinned(serviceId, version),
+      click: menuItem =>
+        serviceManager.versionManager.setVersionPinned(serviceId, version, menuItem.checked),
+    },
+  ];
+
+  const rollbackVersion = serviceManager.versionManager.getRollbackVersion(serviceId);
+  if (rollbackVersion) {
+    items.push({
+      label: `Roll Back to ${rollbackVersion}`,
+      click: async () => {
+        try {
+          await serviceManager.rollbackService(serviceId);
+        } catch (error) {
+          logger.error(`Failed to roll back ${serviceName}:`, error);
+          notifications.showServiceError(serviceName, `Failed to roll back: ${error.message}`);
+        }
+      },
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Creates the menu item to install a service from a local archive or folder
+ * @param {string} serviceId - Service identifier
+ * @returns {Object[]} Menu item, none for services whose version cannot be detected
+ * @private
+ */
+function createInstallItems(serviceId) {
+  const serviceConfig = config.services[serviceId];
+  if (!serviceConfig.versionArgs) return [];
+
+  const install = async options => {
+    try {
+      await serviceManager.installServiceFromFile(serviceId, options);
+    } catch (error) {
+      logger.error(`Failed to install ${serviceConfig.name} from file:`, error);
+      notifications.showInstallFailed(serviceConfig.name, error.message);
+    }
+  };
+
+  return [
+    {
+      label: 'Install from File',
+      submenu: [
+        { label: 'Archive...', click: () => install({ folder: false }) },
+        { label: 'Folder...', click: () => install({ folder: true }) },
+      ],
+    },
+  ];
+}
+
+/**
+ * Creates the menu item with the usage of the download cache
+ * @returns {Object} Menu item
+ * @private
+ */
+function createCacheItem() {
+  const { count, size } = getCacheInfo();
+
+  return {
+    label: `Download Cache (${count === 1 ? '1 archive' : `${count} archives`}, ${formatMemory(size)})`,
+    submenu: [
+      {
+        label: 'Open Cache Folder',
+        enabled: count > 0,
+        click: () => shell.openPath(config.paths.cache),
+      },
+      {
+        label: 'Clear Cache',
+        enabled: count > 0,
+        click: () => {
+          try {
+            clearCache();
+          } catch (error) {
+            logger.error('Failed to clear the download cache:', error);
+            dialog.showErrorBox('Clearing Cache Failed', error.message);
+          }
+          buildMenu().catch(err => logger.error('Failed to build menu', err));
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Creates the menu with the updates found by the background checks
+ * @returns {Object[]} Menu items, none when all services are up to date
+ * @private
+ */
+function createUpdateItems() {
+  const { updates } = serviceManager.updateChecker;
+  if (updates.length === 0) return [];
+
+  const applyUpdate = async serviceId => {
+    const serviceName = config.services[serviceId].name;
+    try {
+      await serviceManager.applyUpdate(serviceId);
+    } catch (error) {
+      logger.error(`Failed to update ${serviceName}:`, error);
+      notifications.showUpdateFailed(serviceName, error.message);
+    }
+  };
+
+  return [
+    {
+      label: `Updates Available (${updates.length})`,
+      submenu: [
+        ...updates.map(update => ({
+          label: `${config.services[update.serviceId].name} ${update.currentVersion} → ${update.targetVersion}`,
+          submenu: [
+            { label: 'Install Update', click: () => applyUpdate(update.serviceId) },
+            {
+              label: 'Release Notes',
+              enabled: Boolean(update.releaseNotesUrl),
+              click: () => shell.openExternal(update.releaseNotesUrl),
+            },
+          ],
+        })),
+        { type: 'separator' },
+        {
+          label: 'Install All Updates',
+          click: () =>
+            serviceManager
+              .applyAllUpdates()
+              .catch(error => logger.error('Failed to install updates:', error)),
+        },
+      ],
+    },
+    { type: 'separator' },
+  ];
+}
+
+/**
+ * Shows the resource usage of running services in the tray tooltip
+ * @private
+ */
+function updateToolTip() {
+  const lines = Object.keys(config.services)
+    .map(serviceId => [serviceId, serviceManager.getResourceUsage(serviceId)])
+    .filter(([, usage]) => usage)
+    .map(
+      ([serviceId, usage]) =>
+        `${config.services[serviceId].name}: ${usage.cpu.toFixed(1)}% CPU, ${formatMemory(usage.memory)}`
+    );
+
+  // Windows truncates tray tooltips to 127 characters
+  const toolTip = ['Wemp - Click to manage services', ...lines].join('\n');
+  tray.setToolTip(toolTip.slice(0, 127));
+}
+
 /**
  * Constructs system tray context menu with current service status
+ * @param {Object} [options] - Build options
+ * @param {boolean} [options.refreshPath=true] - Whether to look up the PATH state again
+ * @param {boolean} [options.refreshPools=false] - Whether to count the worker pool connections
  * @private
  */
-async function buildMenu() {
+async function buildMenu({ refreshPath = true, refreshPools = false } = {}) {
   const status = serviceManager.getStatus();
   const version = app.getVersion();
 
   // Auto-start functionality
   const getAutoStartSettings = () => {
-    if (!app.isPackaged) return { openAtLogin: false, canToggle: false };
+    // Auto-start goes through the Squirrel updater, which only exists on Windows
+    if (!app.isPackaged || process.platform !== 'win32') {
+      return { openAtLogin: false, canToggle: false };
+    }
 
     const updateExe = path.resolve(path.dirname(process.execPath), '..', 'Update.exe');
     const exeName = path.basename(process.execPath);
@@ -85,7 +324,20 @@ async function buildMenu() {
   };
 
   const autoStart = getAutoStartSettings();
-  const pathIncludesServices = await pathManager.areServicePathsInPath();
+  updateToolTip();
+
+  if (refreshPath) {
+    pathIncludesServices = await pathManager.areServicePathsInPath();
+  }
+
+  // Worker pool state of pooled services (e.g. php-cgi workers)
+  if (refreshPools) {
+    poolStats = Object.fromEntries(
+      await Promise.all(
+        Object.keys(config.services).map(async id => [id, await serviceManager.getPoolStats(id)])
+      )
+    );
+  }
 
   const menuTemplate = [
     {
@@ -99,6 +351,7 @@ async function buildMenu() {
             shell.openPath(config.paths.services);
           },
         },
+        createCacheItem(),
         {
           label: 'View Error Logs',
           icon: icons.log,
@@ -137,6 +390,7 @@ async function buildMenu() {
           click: async () => {
             try {
               await pathManager.toggleServicePathsInPath();
+              pathIncludesServices = !pathIncludesServices;
             } catch (error) {
               logger.error('Failed to toggle PATH:', error);
               dialog.showErrorBox('PATH Update Failed', error.message);
@@ -146,21 +400,49 @@ async function buildMenu() {
       ],
     },
     { type: 'separator' },
+    ...createUpdateItems(),
 
     // Dynamic service controls
     ...Object.keys(config.services).map(serviceId => {
       const service = config.services[serviceId];
-      const isRunning = status[serviceId];
+      const isRunning = status[serviceId] !== 'stopped';
       const serviceIcon = icons[serviceId];
       const serviceVersion = serviceManager.versionManager?.getDisplayVersion(serviceId) || '';
+      const recovery = serviceManager.getRecoveryState(serviceId);
+      const stateLabel =
+        recovery?.status === 'restarting'
+          ? ` (restarting, attempt ${recovery.attempt}/${recovery.maxAttempts})`
+          : recovery?.status === 'gave-up'
+            ? ' (gave up)'
+            : ['starting', 'unhealthy'].includes(status[serviceId])
+              ? ` (${status[serviceId]})`
+              : '';
 
       const configItems = [
-        {
-          label: 'Edit Configuration',
-          icon: icons.settings,
-          click: () =>
-            shell.openPath(path.join(config.paths.services, serviceId, service.configFile)),
-        },
+        // Custom services may not have a config file
+        ...(service.configFile
+          ? [
+              {
+                label: 'Edit Configuration',
+                icon: icons.settings,
+                click: () =>
+                  shell.openPath(
+                    path.resolve(config.paths.services, serviceId, service.configFile)
+                  ),
+              },
+            ]
+          : []),
+        // Only services with a process read environment variables
+        ...(service.executable
+          ? [
+              {
+                label: 'Edit Environment',
+                icon: icons.settings,
+                click: () =>
+                  shell.openPath(ensureEnvFile(path.join(config.paths.services, serviceId))),
+              },
+            ]
+          : []),
         {
           label: 'Open Folder',
           icon: icons.folder,
@@ -178,8 +460,8 @@ async function buildMenu() {
             {
               label: 'Open in Browser',
               icon: icons.web,
-              enabled: status.nginx && status.php,
-              click: () => shell.openExternal(service.url),
+              enabled: status.nginx === 'healthy' && status.php === 'healthy',
+              click: () => shell.openExternal(getServiceUrl(serviceId)),
             },
             { type: 'separator' },
             ...configItems,
@@ -214,7 +496,7 @@ async function buildMenu() {
 
         // First, add all available versions grouped by major.minor
         availableVersions.forEach(v => {
-          const majorMinor = v.version.split('.').slice(0, 2).join('.');
+          const majorMinor = getMajorMinor(v.version);
           if (!versionMap.has(majorMinor)) {
             versionMap.set(majorMinor, {
               version: v.version,
@@ -226,24 +508,20 @@ async function buildMenu() {
 
         // Replace with installed versions and check for updates
         installedVersions.forEach(installedVer => {
-          const majorMinor = installedVer.split('.').slice(0, 2).join('.');
+          const majorMinor = getMajorMinor(installedVer);
           const apiVersion = availableVersions.find(av => av.version === installedVer);
 
           // Find latest version in same major.minor series
           const sameSeriesVersions = availableVersions
-            .filter(av => {
-              const avMajorMinor = av.version.split('.').slice(0, 2).join('.');
-              return avMajorMinor === majorMinor && !av.deprecated;
-            })
+            .filter(av => getMajorMinor(av.version) === majorMinor && !av.deprecated)
             .map(av => av.version)
-            .sort((a, b) => {
-              const [aMajor, aMinor, aPatch] = a.split('.').map(Number);
-              const [bMajor, bMinor, bPatch] = b.split('.').map(Number);
-              return bMajor - aMajor || bMinor - aMinor || bPatch - aPatch;
-            });
+            .sort(compareVersionsDescending);
 
           const latestInSeries = sameSeriesVersions[0];
-          const hasUpdate = latestInSeries && latestInSeries !== installedVer;
+          const hasUpdate =
+            latestInSeries &&
+            latestInSeries !== installedVer &&
+            !serviceManager.versionManager.isVersionPinned(serviceId, installedVer);
 
           versionMap.set(majorMinor, {
             version: installedVer,
@@ -253,69 +531,210 @@ async function buildMenu() {
         });
 
         // Sort by version (newest first)
-        const sortedVersions = Array.from(versionMap.values()).sort((a, b) => {
-          const [aMajor, aMinor, aPatch] = a.version.split('.').map(Number);
-          const [bMajor, bMinor, bPatch] = b.version.split('.').map(Number);
-          return bMajor - aMajor || bMinor - aMinor || bPatch - aPatch;
-        });
+        const sortedVersions = Array.from(versionMap.values()).sort((a, b) =>
+          compareVersionsDescending(a.version, b.version)
+        );
 
-        submenuItems.push(
-          {
-            label: `${service.name} ${currentVersion || serviceVersion}`,
-            icon: serviceIcon,
-            submenu: sortedVersions.map(versionData => ({
-              label: versionData.hasUpdate
+        submenuItems.push({
+          label: `${service.name} ${currentVersion || serviceVersion}`,
+          icon: serviceIcon,
+          submenu: sortedVersions.map(versionData => ({
+            label: serviceManager.versionManager.isVersionPinned(serviceId, versionData.version)
+              ? `🔒 ${versionData.version}`
+              : versionData.hasUpdate
                 ? `🔄 ${versionData.version}`
                 : versionData.deprecated
                   ? `⚠️ ${versionData.version}`
                   : versionData.version,
-              type: 'radio',
-              checked: currentVersion === versionData.version,
-              click: async () => {
-                // No-op if already selected
-                if (currentVersion === versionData.version) return;
+            type: 'radio',
+            checked: currentVersion === versionData.version,
+            click: async () => {
+              // No-op if already selected
+              if (currentVersion === versionData.version) return;
+
+              try {
+                if (isRunning) {
+                  await serviceManager.stopService(serviceId);
+                }
+                await serviceManager.switchServiceVersion(
+                  serviceId,
+                  versionData.version,
+                  true // Check for patch updates when switching
+                );
+                if (isRunning) {
+                  await serviceManager.startService(serviceId);
+                }
+              } catch (error) {
+                logger.error(`Failed to switch ${service.name} version:`, error);
+                notifications.showServiceError(
+                  service.name,
+                  `Failed to switch version: ${error.message}`
+                );
+              }
+            },
+          })),
+        });
 
-                try {
-                  if (isRunning) {
-                    await serviceManager.stopService(serviceId);
-                  }
-                  await serviceManager.versionManager.switchServiceVersion(
-                    serviceId,
-                    versionData.version,
-                    true // Check for patch updates when switching
-                  );
-                  if (isRunning) {
-                    await serviceManager.startService(serviceId);
+        // Inactive PHP versions can be removed, MariaDB versions contain databases
+        if (serviceId === 'php') {
+          const removableVersions = installedVersions.filter(
+            version => !currentVersion || getMajorMinor(version) !== getMajorMinor(currentVersion)
+          );
+          if (removableVersions.length > 0) {
+            submenuItems.push({
+              label: 'Remove Version',
+              submenu: removableVersions.map(version => ({
+                label: version,
+                click: async () => {
+                  try {
+                    await serviceManager.removeServiceVersion(serviceId, version);
+                  } catch (error) {
+                    logger.error(`Failed to remove ${service.name} ${version}:`, error);
+                    notifications.showServiceError(
+                      service.name,
+                      `Failed to remove version: ${error.message}`
+                    );
                   }
-                } catch (error) {
-                  logger.error(`Failed to switch ${service.name} version:`, error);
-                  notifications.showServiceError(
-                    service.name,
-                    `Failed to switch version: ${error.message}`
-                  );
-                }
-              },
-            })),
-          },
+                },
+              })),
+            });
+          }
+        }
+
+        submenuItems.push(
+          ...createChannelItems(serviceId),
+          ...createVersionItems(serviceId, currentVersion),
+          ...createInstallItems(serviceId),
           { type: 'separator' }
         );
       } else {
+        const isPinned = serviceManager.versionManager.isVersionPinned(serviceId, currentVersion);
         submenuItems.push(
-          { label: `${service.name} ${serviceVersion}`, icon: serviceIcon, enabled: false },
+          {
+            label: `${service.name} ${serviceVersion}${isPinned ? ' 🔒' : ''}`,
+            icon: serviceIcon,
+            enabled: false,
+          },
+          ...createChannelItems(serviceId),
+          ...createVersionItems(serviceId, currentVersion),
+          ...createInstallItems(serviceId),
           { type: 'separator' }
         );
       }
 
+      const usage = serviceManager.getResourceUsage(serviceId);
+      if (usage) {
+        const peakMemory = Math.max(...usage.history.map(sample => sample.memory));
+        submenuItems.push(
+          {
+            label: `CPU: ${usage.cpu.toFixed(1)}%, Memory: ${formatMemory(usage.memory)} (peak ${formatMemory(peakMemory)})`,
+            enabled: false,
+          },
+          { type: 'separator' }
+        );
+      }
+
+      // Pool state from before a stop is no longer valid
+      const pool = status[serviceId] !== 'stopped' ? poolStats[serviceId] : null;
+      if (pool) {
+        submenuItems.push(
+          {
+            label: `Workers: ${pool.alive}/${pool.size} (${pool.busy} busy, ${pool.idle} idle)`,
+            enabled: false,
+          },
+          { type: 'separator' }
+        );
+      }
+
+      // Offer restarting together with running services that depend on this one
+      const runningDependents = getDependents(serviceId).filter(
+        id => config.services[id].executable && status[id] !== 'stopped'
+      );
+      const cascadeItems = runningDependents.length
+        ? [
+            {
+              label: `Restart with ${runningDependents.map(id => config.services[id].name).join(', ')}`,
+              icon: icons.restart,
+              enabled: isRunning,
+              click: async () => {
+                try {
+                  await serviceManager.restartService(serviceId, { cascade: true });
+                } catch (error) {
+                  logger.error(`Failed to restart ${service.name}:`, error);
+                  notifications.showServiceError(service.name, error.message);
+                }
+              },
+            },
+          ]
+        : [];
+
       submenuItems.push(
         createServiceAction('Start', 'start', 'play', !isRunning),
         createServiceAction('Restart', 'restart', 'restart', isRunning),
+        ...cascadeItems,
         createServiceAction('Stop', 'stop', 'shutdown', isRunning),
-        { type: 'separator' },
-        ...configItems
+        { type: 'separator' }
       );
 
+      // Managed root password, used by Wemp and phpMyAdmin
+      if (serviceId === 'mariadb') {
+        submenuItems.push(
+          {
+            label: 'Set Root Password...',
+            icon: icons.settings,
+            enabled: status.mariadb === 'healthy',
+            click: async () => {
+              try {
+                await serviceManager.setMariaDBRootPassword();
+              } catch (error) {
+                logger.error('Failed to set the MariaDB root password:', error);
+                notifications.showServiceError(service.name, error.message);
+              }
+            },
+          },
+          {
+            label: 'Copy Root Password',
+            enabled: hasMariaDBPassword(),
+            click: () => clipboard.writeText(getMariaDBPassword()),
+          },
+          { type: 'separator' }
+        );
+
+        // Each major.minor version has its own data, other versions can hand theirs over
+        const otherVersions = currentVersion
+          ? installedVersions.filter(
+              version => getVersionPath(version) !== getVersionPath(currentVersion)
+            )
+          : [];
+
+        if (otherVersions.length > 0) {
+          submenuItems.push(
+            {
+              label: 'Migrate Data to This Version',
+              submenu: otherVersions.map(version => ({
+                label: `From ${version}`,
+                enabled:
+                  canMigrateData(version, currentVersion) &&
+                  fs.existsSync(path.join(getVersionPath(version), 'data')),
+                click: async () => {
+                  try {
+                    await serviceManager.migrateMariaDBData(version);
+                  } catch (error) {
+                    logger.error('Failed to migrate MariaDB data:', error);
+                    notifications.showServiceError(service.name, error.message);
+                  }
+                },
+              })),
+            },
+            { type: 'separator' }
+          );
+        }
+      }
+
+      submenuItems.push(...configItems);
+
       return {
-        label: service.name,
+        label: `${service.name}${stateLabel}`,
         icon: serviceIcon,
         submenu: submenuItems,
       };
@@ -330,6 +749,7 @@ async function buildMenu() {
 
   const menu = Menu.buildFromTemplate(menuTemplate);
   tray.setContextMenu(menu);
+  usageChanged = false;
 }
 
 export { tray };
@@ -1,15 +1,35 @@
 import { Notification } from 'electron';
 
+import { isHeadless } from './headless.js';
+import logger from './logger.js';
+
+/**
+ * Shows a notification, or logs it in headless mode
+ * @param {Electron.NotificationConstructorOptions} options - Notification options
+ * @returns {Notification|{close: function(): void}} Notification object for manual dismissal
+ * @private
+ */
+function show(options) {
+  if (isHeadless) {
+    logger.info(`${options.title}: ${options.body}`);
+    return { close() {} };
+  }
+
+  const notification = new Notification(options);
+  notification.show();
+  return notification;
+}
+
 /**
  * Shows service error notification
  * @param {string} serviceName - Name of the service
  * @param {string} error - Error message
  */
 export function showServiceError(serviceName, error) {
-  new Notification({
+  show({
     title: 'Service Error',
     body: `${serviceName}: ${error}`,
-  }).show();
+  });
 }
 
 /**
@@ -17,10 +37,71 @@ export function showServiceError(serviceName, error) {
  * @param {string} serviceName - Name of the service
  */
 export function showServiceCrashed(serviceName) {
-  new Notification({
+  show({
     title: 'Service Crashed',
     body: `${serviceName} has stopped unexpectedly`,
-  }).show();
+  });
+}
+
+/**
+ * Shows notification when crash recovery stopped restarting a service
+ * @param {string} serviceName - Name of the service
+ * @param {number} attempts - Number of restart attempts made
+ */
+export function showServiceGaveUp(serviceName, attempts) {
+  show({
+    title: 'Service Recovery Failed',
+    body: `${serviceName} keeps crashing and was not restarted after ${attempts} attempts`,
+  });
+}
+
+/**
+ * Shows notification when the MariaDB root password was changed
+ * @param {boolean} isSet - True if a new password was set, false if it was removed
+ * @param {Object} [options] - Notification options
+ * @param {boolean} [options.copied=true] - Whether the new password was copied to the clipboard
+ */
+export function showRootPasswordChanged(isSet, { copied = true } = {}) {
+  let body = 'The root password was removed';
+  if (isSet) {
+    body = copied
+      ? 'A new root password was set and copied to the clipboard'
+      : 'The copied password is now the root password';
+  }
+
+  show({ title: 'MariaDB Root Password', body });
+}
+
+/**
+ * Shows notification when a service exceeds a resource threshold
+ * @param {string} serviceName - Name of the service
+ * @param {'cpu'|'memory'} metric - Exceeded metric
+ * @param {number} value - Current value (CPU in percent, memory in MB)
+ * @param {number} limit - Configured threshold
+ */
+export function showResourceThresholdExceeded(serviceName, metric, value, limit) {
+  const usage =
+    metric === 'cpu'
+      ? `${Math.round(value)}% CPU (limit ${limit}%)`
+      : `${Math.round(value)} MB of memory (limit ${limit} MB)`;
+
+  show({
+    title: `${serviceName} High Resource Usage`,
+    body: `${serviceName} is using ${usage}`,
+  });
+}
+
+/**
+ * Shows notification when a service process from another location is still running
+ * @param {string} serviceName - Name of the service
+ * @param {number} pid - Process ID of the orphaned process
+ * @param {string} executablePath - Executable the process runs from
+ */
+export function showOrphanedProcess(serviceName, pid, executablePath) {
+  show({
+    title: `${serviceName} Still Running`,
+    body: `A previous ${serviceName} (PID ${pid}) is still running from ${executablePath}. Close it if it blocks the service.`,
+  });
 }
 
 /**
@@ -30,14 +111,12 @@ export function showServiceCrashed(serviceName) {
  * @returns {Notification} Notification object for manual dismissal
  */
 export function showServiceInstalling(serviceName, version) {
-  const notification = new Notification({
+  return show({
     title: `Installing ${serviceName} ${version}`,
     body: 'Downloading, extracting, and configuring. This may take a moment...',
     silent: true,
     timeoutType: 'never',
   });
-  notification.show();
-  return notification;
 }
 
 /**
@@ -46,10 +125,10 @@ export function showServiceInstalling(serviceName, version) {
  * @param {string} error - Error message
  */
 export function showInstallFailed(serviceName, error) {
-  new Notification({
+  show({
     title: `Failed to Install ${serviceName}`,
     body: error,
-  }).show();
+  });
 }
 
 /**
@@ -58,10 +137,10 @@ export function showInstallFailed(serviceName, error) {
  * @param {string} error - Error message
  */
 export function showUpdateFailed(serviceName, error) {
-  new Notification({
+  show({
     title: `Failed to Update ${serviceName}`,
     body: error,
-  }).show();
+  });
 }
 
 /**
@@ -71,12 +150,70 @@ export function showUpdateFailed(serviceName, error) {
  * @returns {Notification} Notification object for manual dismissal
  */
 export function showServiceUpdating(serviceName, version) {
-  const notification = new Notification({
+  return show({
     title: `Updating ${serviceName} to ${version}`,
     body: 'Downloading and extracting. This may take a moment...',
     silent: true,
     timeoutType: 'never',
   });
-  notification.show();
-  return notification;
+}
+
+/**
+ * Shows notification when MariaDB data was migrated to another version
+ * @param {string} sourceVersion - Version the data was copied from
+ * @param {string} targetVersion - Version now using the data
+ */
+export function showDataMigrated(sourceVersion, targetVersion) {
+  show({
+    title: 'MariaDB Data Migrated',
+    body: `The databases of MariaDB ${sourceVersion} were copied to ${targetVersion} and upgraded`,
+  });
+}
+
+/**
+ * Shows notification when an installed version was removed
+ * @param {string} serviceName - Name of the service
+ * @param {string} version - Removed version
+ */
+export function showVersionRemoved(serviceName, version) {
+  show({
+    title: `${serviceName} ${version} Removed`,
+    body: 'The version was removed from your services folder',
+  });
+}
+
+/**
+ * Shows notification when a service was rolled back to its previous version
+ * @param {string} serviceName - Name of the service
+ * @param {string} version - Restored version
+ */
+export function showServiceRolledBack(serviceName, version) {
+  show({
+    title: `${serviceName} Rolled Back`,
+    body: `${serviceName} ${version} was restored`,
+  });
+}
+
+/**
+ * Shows notification when a service was installed from a local file
+ * @param {string} serviceName - Name of the service
+ * @param {string} version - Installed version
+ */
+export function showServiceInstalled(serviceName, version) {
+  show({
+    title: `${serviceName} ${version} Installed`,
+    body: `${serviceName} ${version} was installed from a local file`,
+  });
+}
+
+/**
+ * Shows notification when a service was updated while Wemp is running
+ * @param {string} serviceName - Name of the service
+ * @param {string} version - New version
+ */
+export function showServiceUpdated(serviceName, version) {
+  show({
+    title: `${serviceName} Updated`,
+    body: `${serviceName} was updated to ${version}`,
+  });
 }
@@ -1,60 +1,19 @@
-import { spawn } from 'node:child_process';
 import path from 'node:path';
 
 import config from '../config.js';
 import logger from './logger.js';
-
-/**
- * Executes a PowerShell command to modify user PATH
- * @param {string} command - PowerShell command to execute
- * @returns {Promise<string>} Command output
- * @private
- */
-function executePathCommand(command) {
-  return new Promise((resolve, reject) => {
-    const powershell = spawn('powershell.exe', ['-NoProfile', '-Command', command], {
-      windowsHide: true,
-      stdio: 'pipe',
-    });
-
-    let output = '';
-    let error = '';
-
-    powershell.stdout?.on('data', data => {
-      output += data.toString();
-    });
-
-    powershell.stderr?.on('data', data => {
-      error += data.toString();
-    });
-
-    powershell.on('close', code => {
-      if (code === 0) {
-        resolve(output.trim());
-      } else {
-        reject(new Error(`PowerShell command failed: ${error || 'Unknown error'}`));
-      }
-    });
-
-    powershell.on('error', err => {
-      reject(err);
-    });
-  });
-}
+import platform from './platform/index.js';
 
 /**
  * Gets the current user PATH environment variable
+ *
+ * On POSIX systems, this only includes the entries Wemp added to the shell profile.
+ *
  * @returns {Promise<string[]>} Array of paths in user PATH
  */
 export async function getUserPath() {
   try {
-    const result = await executePathCommand(
-      '[Environment]::GetEnvironmentVariable("Path", "User")'
-    );
-    return result
-      .split(';')
-      .filter(p => p.trim())
-      .map(p => p.trim());
+    return await platform.getUserPath();
   } catch (error) {
     logger.error('Failed to get user PATH:', error);
     throw error;
@@ -68,11 +27,8 @@ export async function getUserPath() {
  * @private
  */
 async function setUserPath(paths) {
-  const pathString = paths.filter(p => p.trim()).join(';');
-  const command = `[Environment]::SetEnvironmentVariable("Path", "${pathString}", "User")`;
-
   try {
-    await executePathCommand(command);
+    await platform.setUserPath(paths);
     logger.info('Updated user PATH');
   } catch (error) {
     logger.error('Failed to set user PATH:', error);
@@ -87,10 +43,15 @@ async function setUserPath(paths) {
 export function getServicePaths() {
   const servicesPath = config.paths.services;
 
-  return Object.entries(config.services).map(([serviceId, svc]) =>
-    svc.executablePath
-      ? path.join(servicesPath, serviceId, svc.executablePath)
-      : path.join(servicesPath, serviceId)
+  return (
+    Object.entries(config.services)
+      // Custom services with executables elsewhere (e.g. /usr/local/bin) are not managed by Wemp
+      .filter(([, svc]) => !path.isAbsolute(svc.executablePath ?? ''))
+      .map(([serviceId, svc]) =>
+        svc.executablePath
+          ? path.join(servicesPath, serviceId, svc.executablePath)
+          : path.join(servicesPath, serviceId)
+      )
   );
 }
 
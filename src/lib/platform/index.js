@@ -0,0 +1,22 @@
+import * as posix from './posix.js';
+import * as windows from './windows.js';
+
+/**
+ * Platform adapter for all operating system interaction
+ *
+ * Windows uses PowerShell, taskkill, netstat and directory junctions. Linux and macOS use ps,
+ * signals, lsof, symlinks and a PATH entry in ~/.profile. Both implementations export the same
+ * functions:
+ *
+ * - `getExecutableName(name)` - File name of an executable (e.g. 'nginx.exe' on Windows)
+ * - `listProcesses({ name })` - Running processes with parent, executable path and usage
+ * - `killProcessTree(pid)` - Forcefully terminates a process and its descendants
+ * - `listTcpSockets()` - TCP sockets with local port, state and owning PID
+ * - `describeSystemProcess(pid)` - Name of system components that own ports, if any
+ * - `createDirectoryLink(target, link)` - Links a directory (junction or symlink)
+ * - `extractArchive(archivePath, destination)` - Extracts a ZIP or .tar.gz archive
+ * - `getUserPath()` / `setUserPath(paths)` - Reads and writes the user's PATH entries
+ */
+const platform = process.platform === 'win32' ? windows : posix;
+
+export default platform;
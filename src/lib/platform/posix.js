@@ -0,0 +1,197 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import { collectProcessTree, runCommand, runCommandOrThrow } from './shared.js';
+
+/** @type {string} Marks the PATH block Wemp manages in the shell profile */
+const PROFILE_MARKER = '# Added by Wemp';
+
+/**
+ * Gets the file name of an executable
+ * @param {string} name - Executable name (e.g. 'nginx')
+ * @returns {string} File name, which has no extension on POSIX systems
+ */
+export function getExecutableName(name) {
+  return name;
+}
+
+/**
+ * Parses a CPU time as printed by ps ([[dd-]hh:]mm:ss[.ss])
+ * @param {string} value - CPU time
+ * @returns {number} CPU time in ms
+ * @private
+ */
+function parseCpuTime(value) {
+  const [days, time] = value.includes('-') ? value.split('-') : ['0', value];
+  const seconds = time
+    .split(':')
+    .map(Number)
+    .reduce((total, part) => total * 60 + part, 0);
+  return (Number(days) * 86400 + seconds) * 1000;
+}
+
+/**
+ * Resolves the executable of a process
+ * @param {number} pid - Process ID
+ * @param {string} command - Command as printed by ps
+ * @returns {string|null} Absolute executable path or null if unknown
+ * @private
+ */
+function getExecutablePath(pid, command) {
+  // Linux exposes the executable through procfs, macOS prints the full path as command
+  try {
+    return fs.readlinkSync(`/proc/${pid}/exe`);
+  } catch {
+    return path.isAbsolute(command) ? command : null;
+  }
+}
+
+/**
+ * Lists running processes with their parent, executable path and resource usage
+ * @param {Object} [filter] - Process filter
+ * @param {string} [filter.name] - Only list processes with this executable name (e.g. 'nginx')
+ * @param {number} [filter.pid] - Only list the process with this ID
+ * @returns {Promise<Array<{pid: number, parentPid: number, name: string, executablePath: string|null, cpuTime: number, memory: number}>>}
+ */
+export async function listProcesses({ name, pid } = {}) {
+  const output = await runCommandOrThrow('ps', ['-axo', 'pid=,ppid=,rss=,time=,comm=']);
+
+  return output
+    .split('\n')
+    .map(line => line.trim().match(/^(\d+)\s+(\d+)\s+(\d+)\s+(\S+)\s+(.+)$/))
+    .filter(Boolean)
+    .map(([, pid, parentPid, rss, time, command]) => {
+      const executablePath = getExecutablePath(Number(pid), command);
+      return {
+        pid: Number(pid),
+        parentPid: Number(parentPid),
+        name: path.basename(executablePath || command),
+        executablePath,
+        cpuTime: parseCpuTime(time),
+        // RSS is reported in KB
+        memory: Number(rss) * 1024,
+      };
+    })
+    .filter(entry => (!name || entry.name === name) && (!pid || entry.pid === pid));
+}
+
+/**
+ * Forcefully terminates a process and all of its descendants
+ * @param {number} pid - Root process ID
+ * @returns {Promise<void>}
+ */
+export async function killProcessTree(pid) {
+  const tree = collectProcessTree(await listProcesses(), pid);
+
+  for (const member of tree) {
+    try {
+      process.kill(member, 'SIGKILL');
+    } catch (error) {
+      // The process already exited
+      if (error.code !== 'ESRCH') throw error;
+    }
+  }
+}
+
+/**
+ * Lists TCP sockets with their state and owning process
+ * @returns {Promise<Array<{localPort: number, state: string, pid: number}>>} Sockets, states as
+ *   'LISTEN', 'ESTABLISHED' etc.
+ */
+export async function listTcpSockets() {
+  // lsof exits with 1 when nothing matched
+  const { stdout } = await runCommand('lsof', ['-nP', '-iTCP']);
+
+  // Example line: "nginx 1234 dev 6u IPv4 0x0 0t0 TCP *:8080 (LISTEN)"
+  return stdout
+    .split('\n')
+    .map(line => line.match(/^\S+\s+(\d+)\s.*TCP\s+(\S+?)(?:->\S+)?\s+\((\w+)\)$/))
+    .filter(Boolean)
+    .map(([, pid, local, state]) => ({
+      localPort: Number(local.split(':').pop()),
+      state,
+      pid: Number(pid),
+    }));
+}
+
+/**
+ * Describes processes that are not regular user processes
+ * @returns {null} POSIX systems have no such processes owning ports
+ */
+export function describeSystemProcess() {
+  return null;
+}
+
+/**
+ * Creates a symbolic link to a directory
+ * @param {string} target - Existing directory
+ * @param {string} link - Path of the link to create
+ */
+export function createDirectoryLink(target, link) {
+  fs.symlinkSync(target, link, 'dir');
+}
+
+/**
+ * Extracts a .tar.gz or ZIP archive
+ * @param {string} archivePath - Archive file
+ * @param {string} destination - Directory to extract into
+ * @returns {Promise<void>}
+ * @throws {Error} If extraction fails
+ */
+export async function extractArchive(archivePath, destination) {
+  if (/\.zip$/i.test(archivePath)) {
+    await runCommandOrThrow('unzip', ['-q', '-o', archivePath, '-d', destination]);
+    return;
+  }
+
+  await runCommandOrThrow('tar', ['-xzf', archivePath, '-C', destination]);
+}
+
+/**
+ * Gets the shell profile that holds the PATH entries added by Wemp
+ * @returns {string} Path to the profile
+ * @private
+ */
+function getProfilePath() {
+  return path.join(os.homedir(), '.profile');
+}
+
+/**
+ * Gets the PATH entries added by Wemp to the shell profile
+ *
+ * The rest of the PATH is up to the user's shell configuration and is not managed.
+ *
+ * @returns {Promise<string[]>} Managed PATH entries
+ */
+export async function getUserPath() {
+  const profilePath = getProfilePath();
+  if (!fs.existsSync(profilePath)) return [];
+
+  const line = fs
+    .readFileSync(profilePath, 'utf8')
+    .split('\n')
+    .find(entry => entry.endsWith(PROFILE_MARKER));
+
+  const value = line?.match(/^export PATH="(.*):\$PATH"/)?.[1];
+  return value ? value.split(path.delimiter).filter(Boolean) : [];
+}
+
+/**
+ * Sets the PATH entries added by Wemp to the shell profile
+ * @param {string[]} paths - Managed PATH entries, an empty list removes them
+ * @returns {Promise<void>}
+ */
+export async function setUserPath(paths) {
+  const profilePath = getProfilePath();
+  const content = fs.existsSync(profilePath) ? fs.readFileSync(profilePath, 'utf8') : '';
+
+  const lines = content.split('\n').filter(line => !line.endsWith(PROFILE_MARKER));
+  const entries = paths.filter(p => p.trim());
+  if (entries.length > 0) {
+    if (lines.at(-1) === '') lines.pop();
+    lines.push(`export PATH="${entries.join(path.delimiter)}:$PATH" ${PROFILE_MARKER}`, '');
+  }
+
+  fs.writeFileSync(profilePath, lines.join('\n'));
+}
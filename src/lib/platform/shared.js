@@ -0,0 +1,59 @@
+import { spawn } from 'node:child_process';
+
+/**
+ * Runs a command and collects its output
+ * @param {string} command - Command to run
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output
+ */
+export function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'pipe', windowsHide: true });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout?.on('data', data => {
+      stdout += data.toString();
+    });
+    child.stderr?.on('data', data => {
+      stderr += data.toString();
+    });
+
+    child.on('close', code => resolve({ code, stdout, stderr }));
+    child.on('error', reject);
+  });
+}
+
+/**
+ * Runs a command and fails if it exits with a non-zero code
+ * @param {string} command - Command to run
+ * @param {string[]} args - Command arguments
+ * @returns {Promise<string>} Standard output
+ * @throws {Error} With the command's error output if it fails
+ */
+export async function runCommandOrThrow(command, args) {
+  const { code, stdout, stderr } = await runCommand(command, args);
+  if (code !== 0) {
+    throw new Error(stderr.trim() || stdout.trim() || `${command} failed with code ${code}`);
+  }
+  return stdout;
+}
+
+/**
+ * Collects a process and all of its descendants from a process list
+ * @param {Array<{pid: number, parentPid: number}>} processes - Running processes
+ * @param {number} pid - Root process ID
+ * @returns {number[]} PIDs of the process tree, root first
+ */
+export function collectProcessTree(processes, pid) {
+  const tree = [pid];
+
+  // Breadth-first walk, the tree grows while it is iterated
+  for (const parentPid of tree) {
+    for (const child of processes) {
+      if (child.parentPid === parentPid && !tree.includes(child.pid)) tree.push(child.pid);
+    }
+  }
+
+  return tree;
+}
@@ -0,0 +1,154 @@
+import fs from 'node:fs';
+
+import { runCommand, runCommandOrThrow } from './shared.js';
+
+/**
+ * Gets the file name of an executable
+ * @param {string} name - Executable name without extension (e.g. 'nginx')
+ * @returns {string} File name with extension (e.g. 'nginx.exe')
+ */
+export function getExecutableName(name) {
+  return `${name}.exe`;
+}
+
+/**
+ * Runs a PowerShell command
+ * @param {string} command - PowerShell command to execute
+ * @returns {Promise<string>} Command output
+ * @throws {Error} If the command fails
+ * @private
+ */
+async function runPowerShell(command) {
+  try {
+    return (await runCommandOrThrow('powershell.exe', ['-NoProfile', '-Command', command])).trim();
+  } catch (error) {
+    throw new Error(`PowerShell command failed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Lists running processes with their parent, executable path and resource usage
+ * @param {Object} [filter] - Process filter
+ * @param {string} [filter.name] - Only list processes with this image name (e.g. 'nginx.exe')
+ * @param {number} [filter.pid] - Only list the process with this ID
+ * @returns {Promise<Array<{pid: number, parentPid: number, name: string, executablePath: string|null, cpuTime: number, memory: number}>>}
+ */
+export async function listProcesses({ name, pid } = {}) {
+  const conditions = [];
+  if (name) conditions.push(`Name = '${name.replace(/'/g, "''")}'`);
+  if (pid) conditions.push(`ProcessId = ${Number(pid)}`);
+
+  const query = conditions.length
+    ? `Get-CimInstance Win32_Process -Filter "${conditions.join(' AND ')}"`
+    : 'Get-CimInstance Win32_Process';
+
+  // Wrap in an array so a single result is still serialized as a JSON array
+  const output = await runPowerShell(
+    `ConvertTo-Json -Compress -InputObject @(${query} | Select-Object ProcessId, ParentProcessId, Name, ExecutablePath, KernelModeTime, UserModeTime, WorkingSetSize)`
+  );
+
+  return JSON.parse(output || '[]').map(entry => ({
+    pid: entry.ProcessId,
+    parentPid: entry.ParentProcessId,
+    name: entry.Name,
+    executablePath: entry.ExecutablePath || null,
+    // CPU times are reported in 100ns units
+    cpuTime: (Number(entry.KernelModeTime) + Number(entry.UserModeTime)) / 10000 || 0,
+    memory: Number(entry.WorkingSetSize) || 0,
+  }));
+}
+
+/**
+ * Forcefully terminates a process and all of its descendants
+ * @param {number} pid - Root process ID
+ * @returns {Promise<void>}
+ * @throws {Error} If taskkill fails (except process not found)
+ */
+export async function killProcessTree(pid) {
+  const { code } = await runCommand('taskkill', ['/F', '/T', '/PID', String(pid)]);
+
+  // Exit code 128 means process not found, i.e. it already exited
+  if (code !== 0 && code !== 128) {
+    throw new Error(`taskkill failed with code ${code}`);
+  }
+}
+
+/**
+ * Lists TCP sockets with their state and owning process
+ * @returns {Promise<Array<{localPort: number, state: string, pid: number}>>} Sockets, states as
+ *   'LISTEN', 'ESTABLISHED' etc.
+ */
+export async function listTcpSockets() {
+  const { stdout } = await runCommand('netstat', ['-ano', '-p', 'TCP']);
+
+  // Example line: "  TCP    0.0.0.0:80    0.0.0.0:0    LISTENING    1234"
+  return stdout
+    .split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(parts => parts[0] === 'TCP' && parts.length >= 5)
+    .map(parts => ({
+      localPort: Number(parts[1].split(':').pop()),
+      state: parts[3] === 'LISTENING' ? 'LISTEN' : parts[3],
+      pid: Number(parts[4]),
+    }));
+}
+
+/**
+ * Describes processes that are not regular user processes
+ * @param {number} pid - Process ID
+ * @returns {string|null} Name of the system component or null
+ */
+export function describeSystemProcess(pid) {
+  // PID 4 is the kernel, which owns ports reserved through http.sys (e.g. IIS)
+  return pid === 4 ? 'System (http.sys)' : null;
+}
+
+/**
+ * Creates a directory junction, which unlike a symlink needs no admin rights
+ * @param {string} target - Existing directory
+ * @param {string} link - Path of the link to create
+ */
+export function createDirectoryLink(target, link) {
+  fs.symlinkSync(target, link, 'junction');
+}
+
+/**
+ * Extracts a ZIP or .tar.gz archive
+ * @param {string} archivePath - Archive file
+ * @param {string} destination - Directory to extract into
+ * @returns {Promise<void>}
+ * @throws {Error} If extraction fails
+ */
+export async function extractArchive(archivePath, destination) {
+  if (/\.(tar\.gz|tgz)$/i.test(archivePath)) {
+    // Windows 10 and later ship bsdtar
+    await runCommandOrThrow('tar', ['-xzf', archivePath, '-C', destination]);
+    return;
+  }
+
+  await runPowerShell(
+    `Expand-Archive -Path "${archivePath}" -DestinationPath "${destination}" -Force`
+  );
+}
+
+/**
+ * Gets the user PATH environment variable
+ * @returns {Promise<string[]>} Entries of the user PATH
+ */
+export async function getUserPath() {
+  const result = await runPowerShell('[Environment]::GetEnvironmentVariable("Path", "User")');
+  return result
+    .split(';')
+    .map(p => p.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Sets the user PATH environment variable
+ * @param {string[]} paths - Entries of the user PATH
+ * @returns {Promise<void>}
+ */
+export async function setUserPath(paths) {
+  const pathString = paths.filter(p => p.trim()).join(';');
+  await runPowerShell(`[Environment]::SetEnvironmentVariable("Path", "${pathString}", "User")`);
+}
@@ -0,0 +1,491 @@
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+
+import settings from 'electron-settings';
+
+import config from '../config.js';
+import logger from './logger.js';
+import platform from './platform/index.js';
+
+/** @type {string} Name of the nginx upstream for the php-cgi worker pool */
+const PHP_UPSTREAM = 'wemp_php';
+
+/**
+ * Gets the configured port of a service
+ * @param {string} serviceId - Service identifier
+ * @returns {number|undefined} Port number or undefined if the service does not listen on a port
+ */
+export function getServicePort(serviceId) {
+  return settings.getSync(`ports.${serviceId}`) ?? config.services[serviceId]?.port;
+}
+
+/**
+ * Gets the configured host of a service
+ * @param {string} serviceId - Service identifier
+ * @returns {string|undefined} Host or undefined if the service does not listen on a port
+ */
+export function getServiceHost(serviceId) {
+  return settings.getSync(`hosts.${serviceId}`) ?? config.services[serviceId]?.host;
+}
+
+/**
+ * Gets the configured number of worker processes of a pooled service
+ * @param {string} serviceId - Service identifier
+ * @returns {number|undefined} Pool size or undefined if the service is not pooled
+ */
+export function getPoolSize(serviceId) {
+  const size = settings.getSync(`workers.${serviceId}`) ?? config.services[serviceId]?.workers;
+  return size === undefined ? undefined : Math.max(1, Number(size) || 1);
+}
+
+/**
+ * Gets the ports of all workers of a pooled service
+ * @param {string} serviceId - Service identifier
+ * @returns {number[]} Consecutive ports starting at the service port
+ */
+export function getPoolPorts(serviceId) {
+  const port = getServicePort(serviceId);
+  return Array.from({ length: getPoolSize(serviceId) || 1 }, (_, i) => port + i);
+}
+
+/**
+ * Gets the configured host and port of a service
+ * @param {string} serviceId - Service identifier
+ * @returns {{host: string, port: number, workers?: number}} Service endpoint, with the pool size for pooled services
+ */
+export function getServiceEndpoint(serviceId) {
+  const endpoint = { host: getServiceHost(serviceId), port: getServicePort(serviceId) };
+  const workers = getPoolSize(serviceId);
+  return workers === undefined ? endpoint : { ...endpoint, workers };
+}
+
+/**
+ * Gets the browser URL of a web application served by nginx (e.g. phpMyAdmin)
+ * @param {string} [serviceId] - Service with a `urlPath`, or the nginx root if omitted
+ * @returns {string} URL including the nginx port if it is not the default
+ */
+export function getServiceUrl(serviceId) {
+  const { host, port } = getServiceEndpoint('nginx');
+  const urlPath = (serviceId && config.services[serviceId]?.urlPath) || '/';
+  return `http://${host}${port === 80 ? '' : `:${port}`}${urlPath}`;
+}
+
+/**
+ * Gets the FastCGI address nginx passes PHP requests to
+ * @returns {string} Name of the upstream that balances over the php-cgi workers
+ */
+export function getFastCgiAddress() {
+  return PHP_UPSTREAM;
+}
+
+/**
+ * Inserts or replaces the nginx upstream block listing all php-cgi workers
+ * @param {string} content - nginx.conf content
+ * @returns {string} Updated nginx.conf content
+ */
+export function renderPhpUpstream(content) {
+  const host = getServiceHost('php');
+  const servers = getPoolPorts('php')
+    .map(port => `        server ${host}:${port};`)
+    .join('\n');
+  const block = `    # php-cgi worker pool, generated by Wemp from the php port and worker settings
+    upstream ${PHP_UPSTREAM} {
+${servers}
+    }
+`;
+
+  const existing = new RegExp(
+    `^[ \\t]*(?:#[^\\n]*\\n[ \\t]*)?upstream\\s+${PHP_UPSTREAM}\\s*\\{[^}]*\\}\\n?`,
+    'm'
+  );
+  if (existing.test(content)) {
+    return content.replace(existing, block);
+  }
+
+  return content.replace(/^(\s*http\s*\{[^\n]*\n)/m, `$1${block}\n`);
+}
+
+/**
+ * Writes the MariaDB host and port phpMyAdmin connects to into its config
+ * @param {string} content - config.inc.php content
+ * @returns {string} Updated config.inc.php content
+ */
+export function renderPhpMyAdminServer(content) {
+  const { host, port } = getServiceEndpoint('mariadb');
+  // MariaDB listening on all interfaces is reached through the loopback address
+  const connectHost = { '0.0.0.0': '127.0.0.1', '::': '::1' }[host] ?? host;
+
+  const hostLine = `$cfg['Servers'][$i]['host'] = '${connectHost}';`;
+  const portLine = `$cfg['Servers'][$i]['port'] = '${port}';`;
+
+  let updated = content.replace(/\$cfg\['Servers'\]\[\$i\]\['host'\][^;]*;/, () => hostLine);
+  if (!updated.includes(hostLine)) {
+    // The first server block starts with $i++
+    updated = updated.replace(/^\$i\+\+;[^\n]*\n/m, line => `${line}${hostLine}\n`);
+  }
+
+  const existingPort = /\$cfg\['Servers'\]\[\$i\]\['port'\][^;]*;/;
+  if (existingPort.test(updated)) {
+    return updated.replace(existingPort, () => portLine);
+  }
+
+  return updated.replace(hostLine, () => `${hostLine}\n${portLine}`);
+}
+
+/**
+ * Gets all ports a service will listen on
+ *
+ * Nginx may listen on additional ports defined by the user in nginx.conf.
+ *
+ * @param {string} serviceId - Service identifier
+ * @param {string} servicePath - Path to service installation
+ * @returns {number[]} Port numbers, primary port first
+ */
+export function getServicePorts(serviceId, servicePath) {
+  const primaryPort = getServicePort(serviceId);
+  const ports = !primaryPort
+    ? []
+    : getPoolSize(serviceId) !== undefined
+      ? getPoolPorts(serviceId)
+      : [primaryPort];
+
+  // Custom services may listen on more than one port
+  for (const port of config.services[serviceId]?.extraPorts || []) {
+    if (!ports.includes(port)) ports.push(port);
+  }
+
+  if (serviceId === 'nginx') {
+    const configPath = path.join(servicePath, config.services.nginx.configFile);
+
+    try {
+      const content = fs.readFileSync(configPath, 'utf8');
+      for (const match of content.matchAll(/^\s*listen\s+(?:\S*:)?(\d+)[^;]*;/gm)) {
+        const port = Number(match[1]);
+        if (!ports.includes(port)) ports.push(port);
+      }
+    } catch (error) {
+      logger.warn(`Failed to read listen ports from ${configPath}:`, error.message);
+    }
+  }
+
+  return ports;
+}
+
+/**
+ * Checks whether a port can be bound on a specific host
+ * @param {number} port - Port number
+ * @param {string} host - Host address
+ * @returns {Promise<boolean>} True if the port could be bound
+ * @private
+ */
+function canBind(port, host) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => server.close(() => resolve(true)));
+    server.listen({ port, host, exclusive: true });
+  });
+}
+
+/**
+ * Checks whether a port is free on all interfaces and on the loopback interface
+ * @param {number} port - Port number
+ * @returns {Promise<boolean>} True if the port is available
+ */
+export async function isPortAvailable(port) {
+  return (await canBind(port, '0.0.0.0')) && (await canBind(port, '127.0.0.1'));
+}
+
+/**
+ * Identifies the process listening on a port
+ * @param {number} port - Port number
+ * @returns {Promise<{pid: number, name: string}|null>} Owning process or null if unknown
+ */
+export async function findPortOwner(port) {
+  try {
+    const sockets = await platform.listTcpSockets();
+    const pid = sockets.find(
+      socket => socket.state === 'LISTEN' && socket.localPort === port && socket.pid !== 0
+    )?.pid;
+
+    if (!pid) return null;
+
+    const systemName = platform.describeSystemProcess(pid);
+    if (systemName) return { pid, name: systemName };
+
+    const [owner] = await platform.listProcesses({ pid });
+    return { pid, name: owner?.name || 'unknown' };
+  } catch (error) {
+    logger.warn(`Failed to identify owner of port ${port}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Finds a free port (or range of consecutive ports) near the preferred port
+ *
+ * Privileged ports are mapped to their common alternative (e.g. 80 -> 8080).
+ *
+ * @param {number} port - Port that is already taken
+ * @param {number} [count=1] - Number of consecutive ports needed
+ * @returns {Promise<number|null>} First free port or null if none was found
+ */
+export async function findFreePort(port, count = 1) {
+  const start = port < 1024 ? port + 8000 : port + count;
+
+  for (let candidate = start; candidate < start + 100 && candidate + count <= 65536; candidate++) {
+    let available = true;
+    for (let offset = 0; offset < count && available; offset++) {
+      available = await isPortAvailable(candidate + offset);
+    }
+    if (available) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Counts established TCP connections per local port
+ * @param {number[]} ports - Local ports to count connections for
+ * @returns {Promise<Map<number, number>>} Number of established connections by port
+ */
+export async function countConnections(ports) {
+  const counts = new Map(ports.map(port => [port, 0]));
+
+  try {
+    for (const { localPort, state } of await platform.listTcpSockets()) {
+      if (state === 'ESTABLISHED' && counts.has(localPort)) {
+        counts.set(localPort, counts.get(localPort) + 1);
+      }
+    }
+  } catch (error) {
+    logger.warn('Failed to count connections:', error);
+  }
+
+  return counts;
+}
+
+/**
+ * Checks that all ports of a service are free before it is started
+ * @param {string} serviceId - Service identifier
+ * @param {string} servicePath - Path to service installation
+ * @returns {Promise<void>}
+ * @throws {Error} With code 'EPORTINUSE', `port` and `owner` if a port is taken
+ */
+export async function ensurePortsAvailable(serviceId, servicePath) {
+  for (const port of getServicePorts(serviceId, servicePath)) {
+    if (await isPortAvailable(port)) continue;
+
+    const owner = await findPortOwner(port);
+    const serviceName = config.services[serviceId]?.name || serviceId;
+    const ownerLabel = owner ? `${owner.name} (PID ${owner.pid})` : 'another process';
+
+    const error = new Error(
+      `${serviceName} cannot use port ${port}, it is in use by ${ownerLabel}`
+    );
+    error.code = 'EPORTINUSE';
+    error.port = port;
+    error.owner = owner;
+    throw error;
+  }
+}
+
+/**
+ * Sets a key inside a section of an INI file's content, adding the section or key if missing
+ * @param {string} content - INI file content
+ * @param {string} section - Section name without brackets
+ * @param {string} key - Key to set
+ * @param {string|number} value - Value to set
+ * @returns {string} Updated INI content
+ * @private
+ */
+function setIniValue(content, section, key, value) {
+  const lines = content.split(/\r?\n/);
+  const sectionIndex = lines.findIndex(line => line.trim().toLowerCase() === `[${section}]`);
+
+  if (sectionIndex === -1) {
+    return `${content.trimEnd()}\n[${section}]\n${key}=${value}\n`;
+  }
+
+  // Search for the key until the next section starts
+  for (let i = sectionIndex + 1; i < lines.length && !lines[i].trim().startsWith('['); i++) {
+    if (new RegExp(`^\\s*${key}\\s*=`, 'i').test(lines[i])) {
+      lines[i] = `${key}=${value}`;
+      return lines.join('\n');
+    }
+  }
+
+  lines.splice(sectionIndex + 1, 0, `${key}=${value}`);
+  return lines.join('\n');
+}
+
+/**
+ * Rewrites a service's endpoint in every configuration file that references it
+ * @param {string} serviceId - Service identifier
+ * @param {{host: string, port: number}} previous - Previously applied endpoint
+ * @param {{host: string, port: number}} current - Endpoint to apply
+ * @private
+ */
+function rewriteEndpointReferences(serviceId, previous, current) {
+  const servicesPath = config.paths.services;
+  const nginxConfigPath = path.join(servicesPath, 'nginx', config.services.nginx.configFile);
+
+  const rewriteFile = (filePath, transform) => {
+    if (!fs.existsSync(filePath)) return;
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const updated = transform(content);
+    if (updated === content) return;
+
+    fs.writeFileSync(filePath, updated);
+    logger.info(`Updated ${serviceId} endpoint in ${filePath}`);
+  };
+
+  switch (serviceId) {
+    case 'nginx':
+      // The nginx host is only used for URLs, nginx keeps listening on all interfaces
+      rewriteFile(nginxConfigPath, content =>
+        content.replace(
+          new RegExp(`^(\\s*listen\\s+(?:\\S*:)?)${previous.port}\\b`, 'gm'),
+          `$1${current.port}`
+        )
+      );
+      break;
+    case 'php':
+      // php-cgi arguments are derived from the endpoint, only nginx needs updating.
+      // Direct addresses from older installs are switched to the worker pool upstream.
+      rewriteFile(nginxConfigPath, content =>
+        renderPhpUpstream(
+          content.replace(
+            new RegExp(`(fastcgi_pass\\s+)${escapeRegExp(previous.host)}:${previous.port}\\b`, 'g'),
+            `$1${PHP_UPSTREAM}`
+          )
+        )
+      );
+      break;
+    case 'mariadb': {
+      // Every installed version has its own my.ini, so switching versions keeps the endpoint
+      for (const iniPath of getMariaDBConfigPaths()) {
+        rewriteFile(iniPath, content => {
+          let ini = setIniValue(content, 'mysqld', 'port', current.port);
+          ini = setIniValue(ini, 'mysqld', 'bind-address', current.host);
+          ini = setIniValue(ini, 'client', 'port', current.port);
+          return setIniValue(ini, 'client', 'host', current.host);
+        });
+      }
+
+      // phpMyAdmin connects to MariaDB directly
+      rewriteFile(
+        path.join(servicesPath, 'phpmyadmin', config.services.phpmyadmin.configFile),
+        renderPhpMyAdminServer
+      );
+      break;
+    }
+  }
+}
+
+/**
+ * Gets the my.ini of the active MariaDB installation and of every installed version
+ * @returns {string[]} Config file paths, each installation once
+ * @private
+ */
+function getMariaDBConfigPaths() {
+  const servicesPath = config.paths.services;
+  const { configFile } = config.services.mariadb;
+
+  let versionFolders = [];
+  try {
+    versionFolders = fs.readdirSync(servicesPath).filter(entry => /^mariadb-\d+\.\d+$/.test(entry));
+  } catch {
+    // No services folder yet
+  }
+
+  // The active installation is a link to one of the version folders, or a legacy folder
+  const installPaths = ['mariadb', ...versionFolders].map(folder => {
+    const installPath = path.join(servicesPath, folder);
+    try {
+      return fs.realpathSync.native(installPath);
+    } catch {
+      return installPath;
+    }
+  });
+
+  return [...new Set(installPaths)].map(installPath => path.join(installPath, configFile));
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value - String to escape
+ * @returns {string} Escaped string
+ * @private
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Gets the endpoint that was last written to the configuration files of a service
+ * @param {string} serviceId - Service identifier
+ * @returns {{host: string, port: number}} Applied endpoint, defaults if never changed
+ * @private
+ */
+function getAppliedEndpoint(serviceId) {
+  const { host, port } = config.services[serviceId];
+  return settings.getSync(`appliedEndpoints.${serviceId}`) || { host, port };
+}
+
+/**
+ * Writes the configured endpoint of a service into its dependent configuration files
+ * @param {string} serviceId - Service identifier
+ */
+export function applyServiceEndpoint(serviceId) {
+  const applied = getAppliedEndpoint(serviceId);
+  const current = getServiceEndpoint(serviceId);
+
+  try {
+    rewriteEndpointReferences(serviceId, applied, current);
+    settings.setSync(`appliedEndpoints.${serviceId}`, current);
+  } catch (error) {
+    logger.error(`Failed to apply ${serviceId} endpoint`, error);
+  }
+}
+
+/**
+ * Writes the configured endpoints of all services into their dependent configuration files
+ *
+ * Safe to call repeatedly: files are only touched when an endpoint changed since it was last
+ * applied, e.g. after editing `ports` or `hosts` in the settings file.
+ */
+export function syncServiceEndpoints() {
+  for (const serviceId of Object.keys(config.services)) {
+    if (!config.services[serviceId].port) continue;
+
+    const applied = getAppliedEndpoint(serviceId);
+    const current = getServiceEndpoint(serviceId);
+    if (['host', 'port', 'workers'].every(key => applied[key] === current[key])) continue;
+
+    applyServiceEndpoint(serviceId);
+    logger.info(`${config.services[serviceId].name} now uses ${current.host}:${current.port}`);
+  }
+}
+
+/**
+ * Changes the endpoint of a service and updates all configuration that depends on it
+ * @param {string} serviceId - Service identifier
+ * @param {{host?: string, port?: number}} endpoint - New host and/or port
+ */
+export function setServiceEndpoint(serviceId, { host, port }) {
+  if (host !== undefined) settings.setSync(`hosts.${serviceId}`, host);
+  if (port !== undefined) settings.setSync(`ports.${serviceId}`, port);
+  syncServiceEndpoints();
+}
+
+/**
+ * Changes the port of a service and updates all configuration that depends on it
+ * @param {string} serviceId - Service identifier
+ * @param {number} port - New port
+ */
+export function setServicePort(serviceId, port) {
+  setServiceEndpoint(serviceId, { port });
+}
@@ -3,19 +3,45 @@ import { EventEmitter } from 'node:events';
 import fs from 'node:fs';
 import path from 'node:path';
 
+import settings from 'electron-settings';
+
 import config from '../config.js';
+import { AdoptedProcess } from './adopted-process.js';
+import { getMariaDBClientEnv } from './credentials.js';
+import { getDependencies, getShutdownOrder } from './dependency-graph.js';
+import { loadEnvFile } from './env-file.js';
+import { runProbe, waitUntilHealthy } from './health-check.js';
 import logger from './logger.js';
 import * as notifications from './notifications.js';
+import platform from './platform/index.js';
+import { ensurePortsAvailable, getPoolPorts, getServiceEndpoint } from './port-manager.js';
+import {
+  getProcessTree,
+  isInsideFolder,
+  isSameExecutable,
+  killProcessTree,
+  listProcesses,
+} from './process-tree.js';
+import { ResourceMonitor } from './resource-monitor.js';
+import { WorkerPool } from './worker-pool.js';
 
 /**
  * Manages process lifecycle for services
  *
- * Handles Windows-specific process management with proper cleanup and monitoring.
+ * Handles process management with proper cleanup and monitoring, using the platform adapter
+ * for OS-specific operations.
+ * Processes are tracked by PID, so instances started by other tools are never touched. The PIDs
+ * are persisted, so processes left running by a crashed session can be adopted again.
  * Extends EventEmitter to notify about process state changes.
  *
  * @extends EventEmitter
- * @fires ProcessManager#process-started - Emitted when a service process starts
+ * @fires ProcessManager#process-started - Emitted when a service process passed its readiness probe
  * @fires ProcessManager#process-stopped - Emitted when a service process stops
+ * @fires ProcessManager#process-crashed - Emitted when a service process exits unexpectedly
+ * @fires ProcessManager#process-status-changed - Emitted when a service's health status changes
+ * @fires ProcessManager#process-reloaded - Emitted when a service reloaded its configuration in place
+ * @fires ProcessManager#worker-replaced - Emitted when a crashed worker of a pooled service was replaced
+ * @fires ProcessManager#resources-sampled - Emitted after CPU and memory usage of all services was sampled
  */
 export class ProcessManager extends EventEmitter {
   constructor() {
@@ -26,13 +52,24 @@ export class ProcessManager extends EventEmitter {
     this.isShuttingDown = false;
     /** @type {Set<string>} Services currently being stopped */
     this.stoppingServices = new Set();
+    /** @type {Map<string, 'starting'|'healthy'|'unhealthy'>} Health status of active services */
+    this.statuses = new Map();
+    /** @type {Map<string, {stdout: string, stderr: string}>} Recent output of active services */
+    this.outputs = new Map();
+    /** @type {ResourceMonitor} Samples CPU and memory usage of active services */
+    this.resourceMonitor = new ResourceMonitor(
+      () => new Map(Array.from(this.processes.keys(), id => [id, this.getRootPids(id)]))
+    );
+
+    this.resourceMonitor.on('sampled', () => this.emit('resources-sampled'));
   }
 
   /**
-   * Starts a service process with proper configuration
+   * Starts a service process and waits until its readiness probe passes
    * @param {string} serviceId - Service identifier
    * @param {string} servicePath - Path to service installation
    * @returns {Promise<void>}
+   * @throws {Error} If the process exits or does not become healthy within the startup timeout
    */
   async startProcess(serviceId, servicePath) {
     if (this.processes.has(serviceId)) {
@@ -52,31 +89,220 @@ export class ProcessManager extends EventEmitter {
       throw new Error(`${serviceConfig.name} is not installed`);
     }
 
-    // Prevent duplicate processes (can happen after crash or manual start outside app)
-    const isRunning = await this.isExecutableRunning(serviceConfig.executable);
-    if (isRunning) {
-      logger.warn(`${serviceConfig.name} is already running (possibly from a previous session)`);
-      throw new Error(`${serviceConfig.name} is already running`);
+    // Take over instances of this installation (can happen after crash or manual start outside app)
+    const runningPids = await this.findRunningInstances(serviceConfig, executablePath);
+    if (runningPids.length > 0) {
+      logger.warn(
+        `${serviceConfig.name} is already running with PID ${runningPids.join(', ')}, adopting it`
+      );
+      await this.adoptProcess(serviceId, runningPids, executablePath);
+      return;
     }
 
-    const childProcess = spawn(executablePath, serviceConfig.processArgs || [], {
-      cwd: servicePath,
+    // Fail early with the owning process instead of letting the service die on bind
+    await ensurePortsAvailable(serviceId, servicePath);
+
+    const spawnOptions = {
+      cwd: serviceConfig.cwd ? path.resolve(servicePath, serviceConfig.cwd) : servicePath,
       detached: false,
       stdio: ['ignore', 'pipe', 'pipe'],
       windowsHide: true,
+      // Variables from the service's .env file override the defaults of the service
       env: {
         ...process.env,
         ...serviceConfig.env,
+        ...loadEnvFile(servicePath),
       },
-    });
+    };
+
+    // Pooled services run one worker per port and are supervised as a single process
+    const childProcess = serviceConfig.workers
+      ? this.startWorkerPool(serviceId, serviceConfig, executablePath, spawnOptions)
+      : spawn(executablePath, this.getProcessArgs(serviceId, serviceConfig), spawnOptions);
 
     this.setupProcessHandlers(serviceId, childProcess);
     this.processes.set(serviceId, childProcess);
+    this.resourceMonitor.start();
+    this.setStatus(serviceId, 'starting');
+
+    // Recorded before the probe, as an unresponsive process is kept running as well
+    this.recordProcess(serviceId, executablePath);
 
+    await this.waitForReadiness(serviceId, serviceConfig, childProcess);
+
+    this.setStatus(serviceId, 'healthy');
     this.emit('process-started', serviceId);
     logger.info(`Started ${serviceConfig.name}`);
   }
 
+  /**
+   * Re-adopts service processes left running by a previous session
+   *
+   * Processes running from outside the services folder (e.g. after the folder was moved) are
+   * reported instead, as they may block the ports of the services.
+   *
+   * @returns {Promise<string[]>} IDs of the adopted services
+   */
+  async adoptProcesses() {
+    const records = settings.getSync('processes') || {};
+    const adopted = [];
+
+    for (const [serviceId, record] of Object.entries(records)) {
+      settings.unsetSync(`processes.${serviceId}`);
+
+      const serviceConfig = config.services[serviceId];
+      if (!serviceConfig?.executable || this.processes.has(serviceId)) continue;
+
+      // Match PID and executable, so reused PIDs of unrelated processes are ignored
+      const instances = await listProcesses({ name: serviceConfig.executable });
+      const pids = instances
+        .filter(instance => record.pids.includes(instance.pid))
+        .filter(instance => isSameExecutable(instance.executablePath, record.executablePath))
+        .map(instance => instance.pid);
+
+      if (pids.length === 0) continue;
+
+      const isShared = path.isAbsolute(serviceConfig.executablePath ?? '');
+      if (!isShared && !isInsideFolder(record.executablePath, config.paths.services)) {
+        logger.warn(
+          `${serviceConfig.name} (PID ${pids.join(', ')}) is still running from ${record.executablePath}, outside the services folder`
+        );
+        notifications.showOrphanedProcess(serviceConfig.name, pids[0], record.executablePath);
+        continue;
+      }
+
+      try {
+        await this.adoptProcess(serviceId, pids, record.executablePath);
+        adopted.push(serviceId);
+      } catch (error) {
+        logger.error(`Failed to adopt ${serviceConfig.name}:`, error);
+      }
+    }
+
+    return adopted;
+  }
+
+  /**
+   * Supervises running processes of a service that were not spawned by this session
+   * @param {string} serviceId - Service identifier
+   * @param {number[]} pids - PIDs of the running processes
+   * @param {string} executablePath - Executable the processes run from
+   * @returns {Promise<void>}
+   * @private
+   */
+  async adoptProcess(serviceId, pids, executablePath) {
+    const serviceConfig = config.services[serviceId];
+    const adoptedProcess = new AdoptedProcess({ name: serviceConfig.name, pids });
+
+    this.setupProcessHandlers(serviceId, adoptedProcess);
+    this.processes.set(serviceId, adoptedProcess);
+    this.resourceMonitor.start();
+    this.recordProcess(serviceId, executablePath);
+
+    // A single probe tells whether the adopted service still responds
+    const checks = this.getHealthChecks(serviceId, serviceConfig);
+    const results = await Promise.all(checks.map(check => runProbe(check)));
+
+    // The process may have exited while probing, which is handled as a crash
+    if (this.processes.get(serviceId) !== adoptedProcess) return;
+
+    this.setStatus(serviceId, results.every(Boolean) ? 'healthy' : 'unhealthy');
+    this.emit('process-started', serviceId);
+    logger.info(`Adopted ${serviceConfig.name} (PID ${pids.join(', ')}) from a previous session`);
+  }
+
+  /**
+   * Persists the PIDs and executable of a service, so they can be adopted after a crash of Wemp
+   * @param {string} serviceId - Service identifier
+   * @param {string} executablePath - Executable the processes run from
+   * @private
+   */
+  recordProcess(serviceId, executablePath) {
+    const childProcess = this.processes.get(serviceId);
+    if (!childProcess) return;
+
+    // Store the real path, junctions may point to another version by the next session
+    let realPath = executablePath;
+    try {
+      realPath = fs.realpathSync.native(executablePath);
+    } catch {
+      // Keep the unresolved path
+    }
+
+    settings.setSync(`processes.${serviceId}`, {
+      pids: childProcess.pids ?? [childProcess.pid],
+      executablePath: realPath,
+    });
+  }
+
+  /**
+   * Gets the readiness probes of a service, one per port
+   * @param {string} serviceId - Service identifier
+   * @param {Object} serviceConfig - Service configuration
+   * @returns {Object[]} Health check definitions, empty if the service has no probe
+   * @private
+   */
+  getHealthChecks(serviceId, serviceConfig) {
+    if (!serviceConfig.healthCheck) return [];
+
+    // Every worker of a pool has to pass the probe on its own port
+    const endpoint = getServiceEndpoint(serviceId);
+    const ports = serviceConfig.workers ? getPoolPorts(serviceId) : [endpoint.port];
+    return ports.map(port => ({ ...endpoint, port, ...serviceConfig.healthCheck }));
+  }
+
+  /**
+   * Waits for a freshly spawned process to pass its readiness probe
+   * @param {string} serviceId - Service identifier
+   * @param {Object} serviceConfig - Service configuration
+   * @param {ChildProcess} childProcess - The spawned process
+   * @returns {Promise<void>}
+   * @throws {Error} If the process exits or the probe does not pass in time, including captured stderr
+   * @private
+   */
+  async waitForReadiness(serviceId, serviceConfig, childProcess) {
+    // Services without a probe are considered ready once spawned
+    const checks = this.getHealthChecks(serviceId, serviceConfig);
+    if (checks.length === 0) return;
+
+    const isAlive = () => this.processes.get(serviceId) === childProcess;
+    const results = await Promise.all(
+      checks.map(check => waitUntilHealthy(check, { timeout: config.timeout.startup, isAlive }))
+    );
+
+    if (results.every(Boolean)) return;
+
+    const stderr = this.outputs.get(serviceId)?.stderr.trim() || 'no output';
+    this.outputs.delete(serviceId);
+
+    // Keep an unresponsive process around so it can be inspected or stopped from the menu
+    const alive = isAlive();
+    const reason = alive
+      ? `did not become ready within ${config.timeout.startup / 1000}s`
+      : 'exited during startup';
+
+    if (alive) this.setStatus(serviceId, 'unhealthy');
+
+    logger.error(`${serviceConfig.name} ${reason}:\n${stderr}`);
+    notifications.showServiceError(serviceConfig.name, `Failed to start: ${reason}`);
+    throw new Error(`${serviceConfig.name} ${reason}: ${stderr}`);
+  }
+
+  /**
+   * Updates the health status of a service and notifies listeners
+   * @param {string} serviceId - Service identifier
+   * @param {'starting'|'healthy'|'unhealthy'|'stopped'} status - New status
+   * @private
+   */
+  setStatus(serviceId, status) {
+    if (status === 'stopped') {
+      if (!this.statuses.delete(serviceId)) return;
+    } else {
+      this.statuses.set(serviceId, status);
+    }
+    this.emit('process-status-changed', serviceId, status);
+  }
+
   /**
    * Stops a service process gracefully
    * @param {string} serviceId - Service identifier
@@ -89,7 +315,7 @@ export class ProcessManager extends EventEmitter {
     this.stoppingServices.add(serviceId);
 
     try {
-      // MariaDB requires graceful shutdown via mysqladmin, others use taskkill
+      // MariaDB requires graceful shutdown via mysqladmin, others are killed
       await (serviceId === 'mariadb'
         ? this.stopMariaDB(servicePath)
         : this.terminateProcess(serviceId));
@@ -133,6 +359,89 @@ export class ProcessManager extends EventEmitter {
     }
   }
 
+  /**
+   * Reloads the configuration of a running service without stopping it
+   *
+   * Services with `reloadArgs` (e.g. nginx) are told to reload in place, so in-flight requests
+   * are finished and the port stays bound. A full restart is only done if the reload fails or the
+   * service does not support reloading.
+   *
+   * @param {string} serviceId - Service identifier
+   * @param {string} servicePath - Path to service installation
+   * @returns {Promise<void>}
+   * @throws {Error} If the configuration is invalid or the fallback restart fails
+   */
+  async reloadProcess(serviceId, servicePath) {
+    const serviceConfig = config.services[serviceId];
+    if (!this.processes.has(serviceId)) return;
+
+    if (!serviceConfig?.reloadArgs) {
+      await this.restartProcess(serviceId, servicePath);
+      return;
+    }
+
+    // Never hand an invalid configuration to the running server
+    if (serviceId === 'nginx') {
+      await this.validateNginxConfig(servicePath);
+    }
+
+    try {
+      await this.runServiceCommand(serviceConfig, servicePath, serviceConfig.reloadArgs);
+    } catch (error) {
+      logger.warn(`Failed to reload ${serviceConfig.name}, restarting instead:`, error);
+      await this.restartProcess(serviceId, servicePath);
+      return;
+    }
+
+    this.emit('process-reloaded', serviceId);
+    logger.info(`Reloaded ${serviceConfig.name}`);
+  }
+
+  /**
+   * Runs the service executable with the given arguments and waits for it to finish
+   * @param {Object} serviceConfig - Service configuration
+   * @param {string} servicePath - Path to service installation
+   * @param {string[]} args - Arguments to pass
+   * @returns {Promise<void>}
+   * @throws {Error} If the command fails or does not finish within the stop timeout
+   * @private
+   */
+  runServiceCommand(serviceConfig, servicePath, args) {
+    const executablePath = this.getExecutablePath(serviceConfig, servicePath);
+
+    return new Promise((resolve, reject) => {
+      const command = spawn(executablePath, args, {
+        cwd: servicePath,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: true,
+      });
+
+      let stderr = '';
+      command.stderr.on('data', data => (stderr += data.toString()));
+
+      const timeout = setTimeout(() => {
+        command.kill();
+        reject(new Error(`${serviceConfig.executable} ${args.join(' ')} timed out`));
+      }, config.timeout.stop);
+
+      command.on('exit', code => {
+        clearTimeout(timeout);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(
+            new Error(`${serviceConfig.executable} ${args.join(' ')} failed: ${stderr.trim()}`)
+          );
+        }
+      });
+
+      command.on('error', error => {
+        clearTimeout(timeout);
+        reject(error);
+      });
+    });
+  }
+
   /**
    * Validates nginx configuration before restart
    * @param {string} servicePath - Nginx installation path
@@ -178,18 +487,15 @@ export class ProcessManager extends EventEmitter {
     this.isShuttingDown = true;
     const runningServices = Array.from(this.processes.keys());
 
-    // Stop all services in parallel (no dependencies during shutdown)
-    const stopPromises = runningServices.reverse().map(async serviceId => {
+    // Stop dependents before the services they rely on
+    for (const serviceId of getShutdownOrder(runningServices)) {
       try {
         const servicePath = path.join(config.paths.services, serviceId);
         await this.stopProcess(serviceId, servicePath);
       } catch (error) {
         logger.error(`Failed to stop ${serviceId}:`, error);
       }
-    });
-
-    // Wait for all stop operations to complete
-    await Promise.allSettled(stopPromises);
+    }
 
     this.isShuttingDown = false;
   }
@@ -203,26 +509,120 @@ export class ProcessManager extends EventEmitter {
     return this.processes.has(serviceId);
   }
 
+  /**
+   * Gets the health status of a single service process
+   * @param {string} serviceId - Service identifier
+   * @returns {'starting'|'healthy'|'unhealthy'|'stopped'} Service status
+   */
+  getServiceStatus(serviceId) {
+    return this.statuses.get(serviceId) || 'stopped';
+  }
+
   /**
    * Gets the status of all processes
-   * @returns {Object<string, boolean>} Status map of all services (serviceId -> isRunning)
+   * @returns {Object<string, 'starting'|'healthy'|'unhealthy'|'stopped'>} Status map of all services
    */
   getProcessStatus() {
     const status = {};
     for (const serviceId of Object.keys(config.services)) {
-      // phpMyAdmin is not a process - it's running when its dependencies are
-      if (serviceId === 'phpmyadmin') {
+      // Services without a process (e.g. phpMyAdmin) derive their status from their dependencies
+      if (!config.services[serviceId].executable) {
+        const dependencies = getDependencies(serviceId).map(id => this.getServiceStatus(id));
         status[serviceId] =
-          this.isProcessRunning('nginx') &&
-          this.isProcessRunning('mariadb') &&
-          this.isProcessRunning('php');
+          ['stopped', 'unhealthy', 'starting'].find(s => dependencies.includes(s)) || 'healthy';
       } else {
-        status[serviceId] = this.isProcessRunning(serviceId);
+        status[serviceId] = this.getServiceStatus(serviceId);
       }
     }
     return status;
   }
 
+  /**
+   * Gets the PIDs of all processes of a service, including their descendants
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<number[]>} PIDs or an empty array if the service is not running
+   */
+  async getServicePids(serviceId) {
+    const trees = await Promise.all(this.getRootPids(serviceId).map(pid => getProcessTree(pid)));
+    return trees.flat();
+  }
+
+  /**
+   * Gets the PIDs of the processes spawned or adopted for a service, without descendants
+   * @param {string} serviceId - Service identifier
+   * @returns {number[]} PIDs or an empty array if the service is not running
+   * @private
+   */
+  getRootPids(serviceId) {
+    const childProcess = this.processes.get(serviceId);
+    if (!childProcess) return [];
+
+    // Worker pools and adopted processes consist of several processes
+    return (childProcess.pids ?? [childProcess.pid]).filter(Boolean);
+  }
+
+  /**
+   * Gets the CPU and memory usage of a service, including its child processes
+   * @param {string} serviceId - Service identifier
+   * @returns {{cpu: number, memory: number, history: Array<{timestamp: number, cpu: number, memory: number}>}|null}
+   *   CPU in percent of all cores and memory in bytes, or null if not sampled yet
+   */
+  getResourceUsage(serviceId) {
+    return this.resourceMonitor.getUsage(serviceId);
+  }
+
+  /**
+   * Spawns the worker pool of a pooled service
+   * @param {string} serviceId - Service identifier
+   * @param {Object} serviceConfig - Service configuration
+   * @param {string} executablePath - Worker executable
+   * @param {Object} spawnOptions - Options passed to spawn()
+   * @returns {WorkerPool} Started pool
+   * @private
+   */
+  startWorkerPool(serviceId, serviceConfig, executablePath, spawnOptions) {
+    const endpoint = getServiceEndpoint(serviceId);
+    const pool = new WorkerPool({
+      name: serviceConfig.name,
+      executablePath,
+      getArgs: port => this.getProcessArgs(serviceId, serviceConfig, { ...endpoint, port }),
+      ports: getPoolPorts(serviceId),
+      spawnOptions,
+    });
+
+    pool.on('worker-replaced', port => {
+      this.recordProcess(serviceId, executablePath);
+      this.emit('worker-replaced', serviceId, port);
+    });
+    pool.start();
+    return pool;
+  }
+
+  /**
+   * Gets the size and busy/idle state of a pooled service
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<{size: number, alive: number, busy: number, idle: number}|null>} Pool state or null if not a running pool
+   */
+  async getPoolStats(serviceId) {
+    const pool = this.processes.get(serviceId);
+    return pool instanceof WorkerPool ? pool.getStats() : null;
+  }
+
+  /**
+   * Gets the command line arguments for a service process
+   * @param {string} serviceId - Service identifier
+   * @param {Object} serviceConfig - Service configuration
+   * @param {{host: string, port: number}} [endpoint] - Endpoint to bind, defaults to the service endpoint
+   * @returns {string[]} Process arguments
+   * @private
+   */
+  getProcessArgs(serviceId, serviceConfig, endpoint = getServiceEndpoint(serviceId)) {
+    const { processArgs } = serviceConfig;
+
+    // Arguments may depend on the configured endpoint (e.g. php-cgi's bind address)
+    return typeof processArgs === 'function' ? processArgs(endpoint) : processArgs || [];
+  }
+
   /**
    * Gets the executable path for a service
    * @param {Object} serviceConfig - Service configuration
@@ -231,9 +631,10 @@ export class ProcessManager extends EventEmitter {
    * @private
    */
   getExecutablePath(serviceConfig, servicePath) {
+    // Custom services may use an absolute executablePath (e.g. /usr/local/bin)
     return serviceConfig.executablePath
-      ? path.join(servicePath, serviceConfig.executablePath, serviceConfig.executable)
-      : path.join(servicePath, serviceConfig.executable);
+      ? path.resolve(servicePath, serviceConfig.executablePath, serviceConfig.executable)
+      : path.resolve(servicePath, serviceConfig.executable);
   }
 
   /**
@@ -269,37 +670,46 @@ export class ProcessManager extends EventEmitter {
 
     handleStream('stdout', 'stdout');
     handleStream('stderr', 'stderr');
+    this.outputs.set(serviceId, buffers);
 
     // Handle process exit
-    childProcess.on('exit', code => {
+    childProcess.on('exit', (code, signal) => {
       const wasStopping = this.stoppingServices.has(serviceId);
+      const wasStarting = this.getServiceStatus(serviceId) === 'starting';
+
+      this.clearProcess(serviceId);
 
-      this.processes.delete(serviceId);
-      this.stoppingServices.delete(serviceId);
+      // Keep output of a failed startup so it can be reported, otherwise free memory
+      if (!wasStarting) this.outputs.delete(serviceId);
 
-      // Clear buffers to free memory
-      buffers.stdout = '';
-      buffers.stderr = '';
+      // Startup failures are reported by startProcess rather than treated as crashes
+      const isUnexpected = !this.isShuttingDown && !wasStopping && !wasStarting;
 
       // Only treat as crash if exit was unexpected and unintentional
-      if (code !== 0 && !this.isShuttingDown && !wasStopping) {
+      if (code !== 0 && isUnexpected) {
         const serviceName = config.services[serviceId]?.name || serviceId;
-        logger.error(`${serviceName} crashed with exit code ${code}`);
+        logger.error(`${serviceName} crashed with exit code ${code ?? signal}`);
         notifications.showServiceCrashed(serviceName);
       }
 
       this.emit('process-stopped', serviceId);
+
+      // Let crash recovery decide whether to restart based on the service's policy
+      if (isUnexpected) {
+        this.emit('process-crashed', serviceId, code);
+      }
     });
 
     // Handle spawn errors
     childProcess.on('error', error => {
       logger.error(`${serviceId} process error:`, error);
-      this.processes.delete(serviceId);
-      this.stoppingServices.delete(serviceId);
+      // Failed kills also end up here, while the process keeps running
+      this.clearProcess(serviceId, {
+        exited: childProcess.pid === undefined || childProcess.exitCode !== null,
+      });
 
-      // Clear buffers to free memory
-      buffers.stdout = '';
-      buffers.stderr = '';
+      // Keep the error as output so a failed startup can report it
+      buffers.stderr += error.message;
 
       this.emit('process-stopped', serviceId);
     });
@@ -313,16 +723,19 @@ export class ProcessManager extends EventEmitter {
    * @private
    */
   async stopMariaDB(servicePath) {
-    const mysqladminPath = path.join(servicePath, 'bin', 'mysqladmin.exe');
+    const mysqladminPath = path.join(servicePath, 'bin', platform.getExecutableName('mysqladmin'));
     if (!fs.existsSync(mysqladminPath)) {
-      throw new Error('mysqladmin.exe not found');
+      throw new Error('mysqladmin not found');
     }
 
     return new Promise((resolve, reject) => {
-      const shutdownProcess = spawn(mysqladminPath, ['-u', 'root', 'shutdown'], {
+      const { host, port } = getServiceEndpoint('mariadb');
+      const args = ['-u', 'root', `--host=${host}`, `--port=${port}`];
+      const shutdownProcess = spawn(mysqladminPath, [...args, 'shutdown'], {
         cwd: servicePath,
         stdio: 'ignore',
         windowsHide: true,
+        env: getMariaDBClientEnv(),
       });
 
       // Set timeout for shutdown operation
@@ -349,35 +762,27 @@ export class ProcessManager extends EventEmitter {
   }
 
   /**
-   * Executes Windows taskkill command
-   * @param {string[]} args - Arguments for taskkill
-   * @returns {Promise<number>} Exit code
-   * @private
-   */
-  executeTaskkill(args) {
-    return new Promise((resolve, reject) => {
-      const killProcess = spawn('taskkill', args, { stdio: 'ignore', windowsHide: true });
-      killProcess.on('exit', resolve);
-      killProcess.on('error', reject);
-    });
-  }
-
-  /**
-   * Terminates a process using Windows taskkill by executable name
+   * Terminates a service process and its descendants by PID
    * @param {string} serviceId - Service identifier
    * @returns {Promise<void>}
-   * @throws {Error} If taskkill fails (except process not found)
+   * @throws {Error} If the process tree cannot be killed
    * @private
    */
   async terminateProcess(serviceId) {
     const serviceConfig = config.services[serviceId];
     if (!serviceConfig) return;
 
-    const code = await this.executeTaskkill(['/F', '/IM', serviceConfig.executable]);
+    // Worker pools stop their own workers, killing them from outside would make them respawn
+    const childProcess = this.processes.get(serviceId);
+    if (childProcess instanceof WorkerPool || childProcess instanceof AdoptedProcess) {
+      childProcess.kill();
+      await this.waitForProcessExit(serviceId);
+      return;
+    }
 
-    // Exit code 128 means process not found, which is acceptable during shutdown
-    if (code !== 0 && code !== 128) {
-      throw new Error(`taskkill failed with code ${code}`);
+    // Kill the whole tree, e.g. nginx's worker processes along with the master
+    if (childProcess?.pid) {
+      await killProcessTree(childProcess.pid);
     }
 
     // Wait for proper cleanup via exit event
@@ -395,24 +800,22 @@ export class ProcessManager extends EventEmitter {
 
     // If process is already gone, cleanup and return
     if (!childProcess) {
-      this.processes.delete(serviceId);
-      this.stoppingServices.delete(serviceId);
+      this.clearProcess(serviceId);
       return;
     }
 
     // If process already exited, cleanup immediately
-    if (childProcess.exitCode !== null || childProcess.killed) {
-      this.processes.delete(serviceId);
-      this.stoppingServices.delete(serviceId);
+    if (childProcess.exitCode !== null || childProcess.signalCode) {
+      this.clearProcess(serviceId);
       return;
     }
 
     return new Promise(resolve => {
-      // Set timeout to force cleanup if exit event doesn't fire
+      // Set timeout to force cleanup if exit event doesn't fire. The process may still be
+      // running, so its record is kept for the next session to find it.
       const timeout = setTimeout(() => {
         logger.warn(`Process exit event timeout for ${serviceId}, forcing cleanup`);
-        this.processes.delete(serviceId);
-        this.stoppingServices.delete(serviceId);
+        this.clearProcess(serviceId, { exited: false });
         resolve();
       }, config.timeout.stop);
 
@@ -427,36 +830,81 @@ export class ProcessManager extends EventEmitter {
   }
 
   /**
-   * Checks if a process with the given executable name is currently running
-   * @param {string} executableName - Name of the executable (e.g., 'mysqld.exe')
-   * @returns {Promise<boolean>} True if process is running
+   * Removes all tracking state of a service process
+   * @param {string} serviceId - Service identifier
+   * @param {Object} [options] - Cleanup options
+   * @param {boolean} [options.exited=true] - Whether the process exited, otherwise its persisted
+   *   record is kept
    * @private
    */
-  async isExecutableRunning(executableName) {
-    return new Promise(resolve => {
-      const tasklist = spawn('tasklist', ['/FI', `IMAGENAME eq ${executableName}`, '/NH'], {
-        stdio: 'pipe',
-        windowsHide: true,
-      });
+  clearProcess(serviceId, { exited = true } = {}) {
+    if (this.processes.delete(serviceId) && exited) settings.unsetSync(`processes.${serviceId}`);
+    this.resourceMonitor.clear(serviceId);
+    if (this.processes.size === 0) this.resourceMonitor.stop();
+    this.stoppingServices.delete(serviceId);
+    this.setStatus(serviceId, 'stopped');
+  }
 
-      let output = '';
-      tasklist.stdout?.on('data', data => {
-        output += data.toString();
-      });
+  /**
+   * Finds running instances of the service's executable from this installation
+   *
+   * Instances of the same executable from other installations (e.g. another local server) are
+   * left alone, port conflicts with them are detected separately.
+   *
+   * @param {Object} serviceConfig - Service configuration
+   * @param {string} executablePath - Full path to the service executable
+   * @returns {Promise<number[]>} PIDs of the running instances
+   * @private
+   */
+  async findRunningInstances(serviceConfig, executablePath) {
+    // Executables outside the services folder (e.g. a system-wide redis-server of a custom
+    // service) may be run by anyone, so only processes recorded by Wemp are adopted
+    if (!isInsideFolder(executablePath, config.paths.services)) return [];
+
+    const instances = await listProcesses({ name: serviceConfig.executable });
+    const ownInstances = instances.filter(instance =>
+      isSameExecutable(instance.executablePath, executablePath)
+    );
+
+    const foreignInstances = instances.filter(instance => !ownInstances.includes(instance));
+    if (foreignInstances.length > 0) {
+      const paths = foreignInstances.map(instance => instance.executablePath || 'unknown path');
+      logger.info(
+        `Ignoring ${serviceConfig.executable} from other installations: ${[...new Set(paths)].join(', ')}`
+      );
+    }
 
-      tasklist.on('close', () => {
-        const lines = output.split('\n').filter(line => line.trim());
-        const isRunning = lines.some(line =>
-          line.toLowerCase().trim().startsWith(executableName.toLowerCase())
-        );
-        resolve(isRunning);
-      });
+    // Child processes (e.g. nginx workers) are part of their parent's tree
+    const ownPids = ownInstances.map(instance => instance.pid);
+    return ownInstances
+      .filter(instance => !ownPids.includes(instance.parentPid))
+      .map(instance => instance.pid);
+  }
 
-      tasklist.on('error', err => {
-        logger.error(`Error checking if ${executableName} is running:`, err);
-        resolve(false);
-      });
-    });
+  /**
+   * Stops processes running an executable of a service from a folder, e.g. an inactive version
+   * @param {string} serviceId - Service identifier
+   * @param {string} folderPath - Folder whose processes are stopped
+   * @returns {Promise<number>} Number of stopped process trees
+   */
+  async stopProcessesInFolder(serviceId, folderPath) {
+    const serviceConfig = config.services[serviceId];
+    if (!serviceConfig?.executable) return 0;
+
+    const instances = (await listProcesses({ name: serviceConfig.executable })).filter(instance =>
+      isInsideFolder(instance.executablePath, folderPath)
+    );
+
+    // Child processes are stopped together with their parent's tree
+    const pids = instances.map(instance => instance.pid);
+    const roots = instances.filter(instance => !pids.includes(instance.parentPid));
+
+    for (const { pid } of roots) {
+      logger.info(`Stopping ${serviceConfig.executable} (PID ${pid}) running from ${folderPath}`);
+      await killProcessTree(pid);
+    }
+
+    return roots.length;
   }
 
   /**
@@ -485,4 +933,13 @@ export class ProcessManager extends EventEmitter {
   restartService(serviceId) {
     return this.restartProcess(serviceId, path.join(config.paths.services, serviceId));
   }
+
+  /**
+   * Reloads the configuration of a service, restarting it if reloading is not possible
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<void>}
+   */
+  reloadService(serviceId) {
+    return this.reloadProcess(serviceId, path.join(config.paths.services, serviceId));
+  }
 }
@@ -0,0 +1,90 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+import logger from './logger.js';
+import platform from './platform/index.js';
+import { collectProcessTree } from './platform/shared.js';
+
+/**
+ * Lists running processes with their parent, executable path and resource usage
+ *
+ * The executable path is null for processes the current user may not inspect
+ * (e.g. elevated processes or other users' processes).
+ *
+ * @param {Object} [filter] - Process filter
+ * @param {string} [filter.name] - Only list processes with this executable file name
+ * @param {number} [filter.pid] - Only list the process with this ID
+ * @returns {Promise<Array<{pid: number, parentPid: number, name: string, executablePath: string|null, cpuTime: number, memory: number}>>}
+ *   Processes with their total CPU time in ms and memory (working set or RSS) in bytes
+ */
+export async function listProcesses(filter) {
+  try {
+    return await platform.listProcesses(filter);
+  } catch (error) {
+    logger.error('Failed to list processes:', error);
+    return [];
+  }
+}
+
+/**
+ * Gets a process and all of its descendants
+ * @param {number} pid - Root process ID
+ * @param {Array<{pid: number, parentPid: number}>} [processes] - Process list to use, listed if omitted
+ * @returns {Promise<number[]>} PIDs of the process tree, root first
+ */
+export async function getProcessTree(pid, processes) {
+  return collectProcessTree(processes ?? (await listProcesses()), pid);
+}
+
+/**
+ * Resolves a path to its canonical form for comparison
+ * @param {string} filePath - Path to resolve
+ * @returns {string} Real path, with junctions resolved where possible
+ * @private
+ */
+function normalizePath(filePath) {
+  let resolved = path.resolve(filePath);
+  try {
+    resolved = fs.realpathSync.native(resolved);
+  } catch {
+    // Keep the unresolved path if it no longer exists
+  }
+  // Windows paths are case-insensitive
+  return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+}
+
+/**
+ * Checks whether two paths point to the same executable
+ *
+ * Service folders are junctions to version folders, so both paths are resolved first.
+ *
+ * @param {string|null} a - First executable path
+ * @param {string|null} b - Second executable path
+ * @returns {boolean} True if both paths are known and point to the same file
+ */
+export function isSameExecutable(a, b) {
+  if (!a || !b) return false;
+  return normalizePath(a) === normalizePath(b);
+}
+
+/**
+ * Checks whether a path lies within a folder
+ * @param {string|null} filePath - Path to check
+ * @param {string} folderPath - Folder path
+ * @returns {boolean} True if the path is known and inside the folder
+ */
+export function isInsideFolder(filePath, folderPath) {
+  if (!filePath) return false;
+  const relative = path.relative(normalizePath(folderPath), normalizePath(filePath));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Forcefully terminates a process and all of its descendants
+ * @param {number} pid - Root process ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the processes could not be terminated
+ */
+export function killProcessTree(pid) {
+  return platform.killProcessTree(pid);
+}
@@ -0,0 +1,187 @@
+import { EventEmitter } from 'node:events';
+import os from 'node:os';
+
+import settings from 'electron-settings';
+
+import config from '../config.js';
+import logger from './logger.js';
+import * as notifications from './notifications.js';
+import { getProcessTree, listProcesses } from './process-tree.js';
+
+/**
+ * Samples CPU and memory usage of running services
+ *
+ * Usage of a service includes all of its processes and their descendants (e.g. nginx workers or
+ * the php-cgi pool). A notification is shown once when a service exceeds a threshold, and again
+ * only after its usage dropped below the threshold in between.
+ *
+ * @extends EventEmitter
+ * @fires ResourceMonitor#sampled - Emitted after the usage of all running services was sampled
+ * @fires ResourceMonitor#threshold-exceeded - Emitted when a service exceeds a threshold
+ */
+export class ResourceMonitor extends EventEmitter {
+  /**
+   * Creates a new ResourceMonitor instance
+   * @param {function(): Map<string, number[]>} getServicePids - Returns the root PIDs of every running service
+   */
+  constructor(getServicePids) {
+    super();
+    /** @type {function(): Map<string, number[]>} Returns the root PIDs of every running service */
+    this.getServicePids = getServicePids;
+    /** @type {Map<string, Array<{timestamp: number, cpu: number, memory: number}>>} Recent samples */
+    this.histories = new Map();
+    /** @type {Map<string, {timestamp: number, cpuTime: number}>} Last CPU time, to calculate usage */
+    this.cpuTimes = new Map();
+    /** @type {Map<string, Set<'cpu'|'memory'>>} Thresholds a service currently exceeds */
+    this.exceeded = new Map();
+    /** @type {NodeJS.Timeout|null} Sampling timer */
+    this.timer = null;
+    /** @type {boolean} Whether a sample is being taken */
+    this.sampling = false;
+  }
+
+  /**
+   * Starts sampling at the configured interval
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sample().catch(error => logger.error('Failed to sample resource usage', error));
+    }, config.monitor.interval);
+  }
+
+  /**
+   * Stops sampling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Discards the samples of a service
+   * @param {string} serviceId - Service identifier
+   */
+  clear(serviceId) {
+    this.histories.delete(serviceId);
+    this.cpuTimes.delete(serviceId);
+    this.exceeded.delete(serviceId);
+  }
+
+  /**
+   * Gets the current usage and recent history of a service
+   * @param {string} serviceId - Service identifier
+   * @returns {{cpu: number, memory: number, history: Array<{timestamp: number, cpu: number, memory: number}>}|null}
+   *   CPU in percent of all cores and memory in bytes, or null if no sample was taken yet
+   */
+  getUsage(serviceId) {
+    const history = this.histories.get(serviceId);
+    if (!history?.length) return null;
+
+    const { cpu, memory } = history.at(-1);
+    return { cpu, memory, history: [...history] };
+  }
+
+  /**
+   * Samples the usage of all running services
+   * @returns {Promise<void>}
+   */
+  async sample() {
+    // Skip if the previous sample is still running (e.g. on a busy system)
+    if (this.sampling) return;
+
+    const services = this.getServicePids();
+    if (services.size === 0) return;
+
+    this.sampling = true;
+    try {
+      const processes = await listProcesses();
+      const byPid = new Map(processes.map(entry => [entry.pid, entry]));
+      const timestamp = Date.now();
+
+      // Services stopped while listing processes must not get a history again
+      const running = this.getServicePids();
+
+      for (const [serviceId, rootPids] of services) {
+        if (!running.has(serviceId)) continue;
+
+        const trees = await Promise.all(rootPids.map(pid => getProcessTree(pid, processes)));
+        const usage = { cpuTime: 0, memory: 0 };
+
+        for (const pid of new Set(trees.flat())) {
+          usage.cpuTime += byPid.get(pid)?.cpuTime || 0;
+          usage.memory += byPid.get(pid)?.memory || 0;
+        }
+
+        this.record(serviceId, timestamp, usage);
+      }
+
+      this.emit('sampled');
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  /**
+   * Adds a sample to the history of a service and checks its thresholds
+   * @param {string} serviceId - Service identifier
+   * @param {number} timestamp - Time of the sample
+   * @param {{cpuTime: number, memory: number}} usage - Total CPU time in ms and memory in bytes
+   * @private
+   */
+  record(serviceId, timestamp, { cpuTime, memory }) {
+    const previous = this.cpuTimes.get(serviceId);
+    this.cpuTimes.set(serviceId, { timestamp, cpuTime });
+
+    // CPU usage is a rate, so the first sample of a service only serves as the baseline
+    if (!previous) return;
+
+    // Replaced processes can lower the total CPU time, which must not count as negative usage
+    const elapsed = (timestamp - previous.timestamp) * os.availableParallelism();
+    const cpu = Math.max(0, ((cpuTime - previous.cpuTime) / elapsed) * 100);
+
+    const history = this.histories.get(serviceId) || [];
+    history.push({ timestamp, cpu, memory });
+    if (history.length > config.monitor.historySize) history.shift();
+    this.histories.set(serviceId, history);
+
+    this.checkThresholds(serviceId, { cpu, memory: memory / 1024 / 1024 });
+  }
+
+  /**
+   * Notifies when a service starts exceeding one of its thresholds
+   * @param {string} serviceId - Service identifier
+   * @param {{cpu: number, memory: number}} values - CPU in percent and memory in MB
+   * @private
+   */
+  checkThresholds(serviceId, values) {
+    const thresholds = {
+      ...config.monitor.thresholds,
+      ...settings.getSync(`thresholds.${serviceId}`),
+    };
+    const exceeded = this.exceeded.get(serviceId) || new Set();
+    this.exceeded.set(serviceId, exceeded);
+
+    for (const [metric, value] of Object.entries(values)) {
+      const limit = thresholds[metric];
+
+      if (!limit || value <= limit) {
+        exceeded.delete(metric);
+        continue;
+      }
+
+      // Only notify when the threshold is crossed, not on every sample above it
+      if (exceeded.has(metric)) continue;
+      exceeded.add(metric);
+
+      const serviceName = config.services[serviceId]?.name || serviceId;
+      logger.warn(
+        `${serviceName} exceeds its ${metric} threshold: ${Math.round(value)} > ${limit}`
+      );
+      notifications.showResourceThresholdExceeded(serviceName, metric, value, limit);
+
+      this.emit('threshold-exceeded', serviceId, metric, value, limit);
+    }
+  }
+}
@@ -6,8 +6,12 @@ import { dialog } from 'electron';
 import settings from 'electron-settings';
 
 import config from '../config.js';
+import { bootstrapMariaDBPassword } from './credentials.js';
+import { getHeadlessOption, isHeadless } from './headless.js';
 import logger from './logger.js';
 import * as notifications from './notifications.js';
+import platform from './platform/index.js';
+import { applyServiceEndpoint } from './port-manager.js';
 
 /**
  * Manages service installation and directory setup
@@ -32,6 +36,11 @@ export class ServiceInstaller {
    * @throws {Error} If user cancels directory selection
    */
   async ensureServicesPath() {
+    if (isHeadless) {
+      this.useHeadlessServicesPath();
+      return;
+    }
+
     // Skip dialog if path already configured and valid
     if (settings.hasSync('path') && fs.existsSync(config.paths.services)) {
       return;
@@ -97,7 +106,7 @@ export class ServiceInstaller {
   async initializeMariaDB() {
     const servicePath = path.join(config.paths.services, 'mariadb');
     const dataPath = path.join(servicePath, 'data');
-    const installDbPath = path.join(servicePath, 'bin', 'mysql_install_db.exe');
+    const installDbPath = this.getMariaDBInstallerPath(servicePath);
 
     // Check if already initialized or installer missing
     if (fs.existsSync(dataPath) && fs.readdirSync(dataPath).length > 0) {
@@ -106,7 +115,7 @@ export class ServiceInstaller {
     }
 
     if (!fs.existsSync(installDbPath)) {
-      logger.warn(`mysql_install_db.exe not found at ${installDbPath}`);
+      logger.warn(`MariaDB installer not found at ${installDbPath}`);
       return;
     }
 
@@ -115,6 +124,16 @@ export class ServiceInstaller {
 
     try {
       await this.runMariaDBInstaller(installDbPath, dataPath, servicePath);
+
+      if (process.platform !== 'win32') {
+        this.writeMariaDBConfig(servicePath, dataPath);
+      }
+
+      // Keep a previously set root password when the data directory is recreated
+      await bootstrapMariaDBPassword(servicePath);
+
+      // Write the configured host and port into the generated my.ini
+      applyServiceEndpoint('mariadb');
       logger.info('MariaDB initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize MariaDB', error);
@@ -142,9 +161,90 @@ export class ServiceInstaller {
     settings.setSync('path', result.filePaths[0]);
   }
 
+  /**
+   * Gets the MariaDB installer of the current platform
+   * @param {string} servicePath - MariaDB installation path
+   * @returns {string} Path to mysql_install_db.exe on Windows, scripts/mariadb-install-db otherwise
+   * @private
+   */
+  getMariaDBInstallerPath(servicePath) {
+    return process.platform === 'win32'
+      ? path.join(servicePath, 'bin', platform.getExecutableName('mysql_install_db'))
+      : path.join(servicePath, 'scripts', 'mariadb-install-db');
+  }
+
+  /**
+   * Gets the arguments for the MariaDB installer
+   *
+   * The Windows installer also creates my.ini, the POSIX script only creates the system tables.
+   * The root password is set afterwards (see bootstrapMariaDBPassword).
+   *
+   * @param {string} dataPath - Path for database data directory
+   * @param {string} servicePath - MariaDB installation path
+   * @returns {string[]} Installer arguments
+   * @private
+   */
+  getMariaDBInstallerArgs(dataPath, servicePath) {
+    if (process.platform === 'win32') {
+      return [`--datadir=${dataPath}`];
+    }
+
+    return [
+      '--no-defaults',
+      `--basedir=${servicePath}`,
+      `--datadir=${dataPath}`,
+      // Root logs in with a password instead of the OS account, as on Windows
+      '--auth-root-authentication-method=normal',
+    ];
+  }
+
+  /**
+   * Writes the my.ini the Windows installer would create
+   * @param {string} servicePath - MariaDB installation path
+   * @param {string} dataPath - Path for database data directory
+   * @private
+   */
+  writeMariaDBConfig(servicePath, dataPath) {
+    const configPath = path.join(servicePath, config.services.mariadb.configFile);
+    if (fs.existsSync(configPath)) return;
+
+    const { host, port } = config.services.mariadb;
+    fs.writeFileSync(
+      configPath,
+      [
+        '[mysqld]',
+        `basedir=${servicePath}`,
+        `datadir=${dataPath}`,
+        `port=${port}`,
+        `bind-address=${host}`,
+        '[client]',
+        `port=${port}`,
+        `host=${host}`,
+        '',
+      ].join('\n')
+    );
+  }
+
+  /**
+   * Uses the services directory from the `--path` flag in headless mode
+   *
+   * Without the flag, the configured or default directory is used and created if needed.
+   *
+   * @private
+   */
+  useHeadlessServicesPath() {
+    const selectedPath = getHeadlessOption('path');
+    if (typeof selectedPath === 'string') {
+      settings.setSync('path', path.resolve(selectedPath));
+    }
+
+    fs.mkdirSync(config.paths.services, { recursive: true });
+    logger.info(`Using services folder ${config.paths.services}`);
+  }
+
   /**
    * Runs the MariaDB installer
-   * @param {string} installDbPath - Path to mysql_install_db.exe
+   * @param {string} installDbPath - Path to the MariaDB installer
    * @param {string} dataPath - Path for database data directory
    * @param {string} servicePath - MariaDB installation path
    * @returns {Promise<void>}
@@ -153,11 +253,15 @@ export class ServiceInstaller {
    */
   runMariaDBInstaller(installDbPath, dataPath, servicePath) {
     return new Promise((resolve, reject) => {
-      const installProcess = spawn(installDbPath, [`--datadir=${dataPath}`, '--password='], {
-        cwd: servicePath,
-        stdio: ['ignore', 'pipe', 'pipe'],
-        windowsHide: true,
-      });
+      const installProcess = spawn(
+        installDbPath,
+        this.getMariaDBInstallerArgs(dataPath, servicePath),
+        {
+          cwd: servicePath,
+          stdio: ['ignore', 'pipe', 'pipe'],
+          windowsHide: true,
+        }
+      );
 
       let stderr = '';
 
@@ -1,15 +1,41 @@
+import crypto from 'node:crypto';
 import { EventEmitter } from 'node:events';
+import fs from 'node:fs';
 import path from 'node:path';
 
-import { dialog } from 'electron';
+import { clipboard, dialog } from 'electron';
 
 import config from '../config.js';
+import { restoreBackup } from './backups.js';
 import { ConfigWatcher } from './config-watcher.js';
+import { CrashRecovery } from './crash-recovery.js';
+import { changeMariaDBPassword, hasMariaDBPassword } from './credentials.js';
+import { registerCustomServices } from './custom-services.js';
+import { getDependencies, getDependents, getStartupOrder } from './dependency-graph.js';
+import { getHeadlessOption, isHeadless } from './headless.js';
 import logger from './logger.js';
+import {
+  canMigrateData,
+  copyData,
+  createSnapshot,
+  getVersionPath,
+  removeSnapshot,
+  restoreSnapshot,
+  runMariaDBUpgrade,
+} from './mariadb-data.js';
 import * as notifications from './notifications.js';
+import {
+  findFreePort,
+  getPoolPorts,
+  getServicePort,
+  setServicePort,
+  syncServiceEndpoints,
+} from './port-manager.js';
 import { ProcessManager } from './process-manager.js';
 import { ServiceInstaller } from './service-installer.js';
+import { UpdateChecker } from './update-checker.js';
 import { VersionManager } from './version-manager.js';
+import { getMajorMinor } from './version.js';
 
 /**
  * Orchestrates service management through dedicated modules
@@ -20,11 +46,23 @@ import { VersionManager } from './version-manager.js';
  * @extends EventEmitter
  * @fires ServiceManager#service-started - Emitted when a service starts successfully
  * @fires ServiceManager#service-stopped - Emitted when a service stops
+ * @fires ServiceManager#service-status-changed - Emitted when a service's health status changes
+ * @fires ServiceManager#service-reloaded - Emitted when a service reloaded its configuration in place
+ * @fires ServiceManager#service-worker-replaced - Emitted when a crashed pool worker was replaced
+ * @fires ServiceManager#service-restarting - Emitted when a crashed service is about to be restarted
+ * @fires ServiceManager#service-restart-succeeded - Emitted when a crashed service was restarted
+ * @fires ServiceManager#service-restart-failed - Emitted when a restart attempt failed
+ * @fires ServiceManager#service-gave-up - Emitted when a crash-looping service is no longer restarted
+ * @fires ServiceManager#service-resources-updated - Emitted when CPU and memory usage was sampled
+ * @fires ServiceManager#updates-changed - Emitted when the list of pending service updates changed
  */
 class ServiceManager extends EventEmitter {
   constructor() {
     super();
 
+    // Custom services have to be known before versions and processes are looked up
+    registerCustomServices();
+
     /** @type {VersionManager} Manages service versions and updates */
     this.versionManager = new VersionManager();
     /** @type {ProcessManager} Manages service processes */
@@ -33,6 +71,10 @@ class ServiceManager extends EventEmitter {
     this.configWatcher = new ConfigWatcher();
     /** @type {ServiceInstaller} Handles service installation */
     this.serviceInstaller = new ServiceInstaller(this.versionManager);
+    /** @type {CrashRecovery} Restarts crashed services according to their policy */
+    this.crashRecovery = new CrashRecovery(serviceId => this.recoverService(serviceId));
+    /** @type {UpdateChecker} Looks for service updates while Wemp is running */
+    this.updateChecker = new UpdateChecker(this.versionManager);
 
     this.processManager.on('process-started', serviceId => {
       this.emit('service-started', serviceId);
@@ -42,20 +84,72 @@ class ServiceManager extends EventEmitter {
       this.emit('service-stopped', serviceId);
     });
 
+    this.processManager.on('process-status-changed', (serviceId, status) => {
+      this.emit('service-status-changed', serviceId, status);
+    });
+
+    this.processManager.on('process-reloaded', serviceId => {
+      this.emit('service-reloaded', serviceId);
+    });
+
+    this.processManager.on('worker-replaced', (serviceId, port) => {
+      this.emit('service-worker-replaced', serviceId, port);
+    });
+
+    this.processManager.on('resources-sampled', () => {
+      this.emit('service-resources-updated');
+    });
+
+    this.processManager.on('process-crashed', (serviceId, code) => {
+      this.crashRecovery.handleCrash(serviceId, code);
+    });
+
+    this.crashRecovery.on('restart-scheduled', (serviceId, attempt, maxAttempts) => {
+      this.emit('service-restarting', serviceId, attempt, maxAttempts);
+    });
+
+    this.crashRecovery.on('restart-succeeded', (serviceId, attempt) => {
+      this.emit('service-restart-succeeded', serviceId, attempt);
+    });
+
+    this.crashRecovery.on('restart-failed', (serviceId, attempt, error) => {
+      this.emit('service-restart-failed', serviceId, attempt, error);
+    });
+
+    this.crashRecovery.on('gave-up', (serviceId, attempts) => {
+      this.emit('service-gave-up', serviceId, attempts);
+    });
+
+    this.updateChecker.on('updates-changed', updates => {
+      this.emit('updates-changed', updates);
+    });
+
     this.configWatcher.on('config-changed', async serviceId => {
       const serviceName = config.services[serviceId]?.name || serviceId;
-      logger.info(`${serviceName} configuration changed, restarting service`);
+      logger.info(`${serviceName} configuration changed, applying it`);
 
       try {
-        await this.restartService(serviceId);
+        await this.reloadService(serviceId);
       } catch (error) {
         // Provide context-specific error messages
         const errorType = error.message.includes('configuration is invalid')
           ? 'configuration validation failed, keeping current configuration'
-          : `failed to restart: ${error.message}`;
+          : `failed to apply configuration: ${error.message}`;
         logger.error(`${serviceName} ${errorType}`);
       }
     });
+
+    // Environment variables are only read on spawn, so the service has to be restarted
+    this.configWatcher.on('env-changed', async serviceId => {
+      const serviceName = config.services[serviceId]?.name || serviceId;
+      logger.info(`${serviceName} environment file changed, restarting it`);
+
+      try {
+        await this.restartService(serviceId);
+      } catch (error) {
+        logger.error(`${serviceName} failed to restart with the new environment`, error);
+      }
+    });
   }
 
   /**
@@ -65,17 +159,22 @@ class ServiceManager extends EventEmitter {
   async init() {
     await this.serviceInstaller.ensureServicesPath();
 
+    // Take over services left running by a previous session before updates touch their files
+    const adopted = await this.processManager.adoptProcesses();
+    for (const serviceId of adopted) {
+      this.configWatcher.setupWatcher(serviceId, path.join(config.paths.services, serviceId));
+    }
+
     try {
       // Check for updates (quick API call only)
       await this.versionManager.checkForUpdates();
 
-      if (this.versionManager.hasAvailableUpdates()) {
-        logger.info('Service updates available, installing before startup');
+      if (await this.confirmPendingUpdates()) {
         await this.installPendingUpdates();
-      }
 
-      // Check for patch updates on multi-version services (e.g., PHP)
-      await this.checkAndUpdateMultiVersionServices();
+        // Check for patch updates on multi-version services (e.g., PHP)
+        await this.checkAndUpdateMultiVersionServices();
+      }
     } catch (error) {
       // Non-fatal: continue with installed versions if update check fails
       logger.warn('Failed to check for updates on startup', error);
@@ -83,6 +182,52 @@ class ServiceManager extends EventEmitter {
 
     // Ensure all required services are installed
     await this.serviceInstaller.ensureServicesInstalled();
+
+    // Skipped updates stay available, newer ones are found by the background checks
+    await this.updateChecker.refresh();
+    this.updateChecker.start();
+  }
+
+  /**
+   * Asks whether the available updates should be installed before startup
+   *
+   * Pinned versions are not offered. Headless instances install updates without asking, unless
+   * the `skip-updates` option is set.
+   *
+   * @returns {Promise<boolean>} True if there are updates to install
+   * @private
+   */
+  async confirmPendingUpdates() {
+    const updates = (await this.versionManager.getPendingUpdates()).map(
+      update =>
+        `${config.services[update.serviceId].name} ${update.currentVersion} -> ${update.targetVersion}`
+    );
+
+    if (updates.length === 0) return false;
+
+    logger.info(`Service updates available: ${updates.join(', ')}`);
+    if (isHeadless) {
+      if (!getHeadlessOption('skip-updates')) return true;
+
+      logger.info('Skipped service updates on startup');
+      return false;
+    }
+
+    const response = await dialog.showMessageBox({
+      type: 'info',
+      title: 'Updates Available',
+      message: 'Install the available service updates before starting?',
+      detail: `${updates.join('\n')}\n\nTo keep a version, skip the updates and pin it in the menu of the service.`,
+      buttons: ['Install Updates', 'Skip'],
+      defaultId: 0,
+      cancelId: 1,
+    });
+
+    if (response.response !== 0) {
+      logger.info('Skipped service updates on startup');
+      return false;
+    }
+    return true;
   }
 
   /**
@@ -106,8 +251,11 @@ class ServiceManager extends EventEmitter {
             `${serviceConfig.name} patch update available: ${updateInfo.currentVersion} -> ${updateInfo.latestVersion}`
           );
 
+          // Files of a running service (e.g. an adopted MariaDB) cannot be replaced
+          await this.stopService(serviceId);
+
           // Update to the latest patch version
-          await this.versionManager.switchServiceVersion(
+          await this.switchServiceVersion(
             serviceId,
             updateInfo.latestVersion,
             false // Already checked for update
@@ -132,6 +280,7 @@ class ServiceManager extends EventEmitter {
     for (const serviceId of servicesToUpdate) {
       const serviceName = config.services[serviceId]?.name || serviceId;
       let success = false;
+      let attempt = 0;
 
       // Retry loop for file locking issues
       while (!success) {
@@ -144,6 +293,18 @@ class ServiceManager extends EventEmitter {
         } catch (error) {
           logger.warn(`Failed to install update for ${serviceName}`, error);
 
+          // Without a dialog, retry a configured number of times before skipping
+          if (isHeadless) {
+            if (attempt++ < getHeadlessOption('update-retries')) {
+              logger.info(`Retrying update for ${serviceName} (attempt ${attempt + 1})`);
+              await new Promise(resolve => setTimeout(resolve, getHeadlessOption('retry-delay')));
+            } else {
+              logger.info(`Skipped update for ${serviceName}`);
+              success = true;
+            }
+            continue;
+          }
+
           // Show dialog asking user what to do
           const response = await dialog.showMessageBox({
             type: 'warning',
@@ -170,10 +331,16 @@ class ServiceManager extends EventEmitter {
    * @returns {Promise<void>}
    */
   async startAll() {
-    // Skip phpMyAdmin as it's not a process - it runs via nginx/php
-    const services = Object.keys(config.services).filter(id => id !== 'phpmyadmin');
+    // Skip services without a process (e.g. phpMyAdmin runs via nginx/php)
+    const services = getStartupOrder().filter(id => config.services[id].executable);
 
+    // Start in dependency order, each service is ready before its dependents start. A failed
+    // service does not keep its dependents from starting (e.g. nginx serves static files
+    // without PHP).
     for (const serviceId of services) {
+      // Adopted services are already running
+      if (this.processManager.isProcessRunning(serviceId)) continue;
+
       try {
         await this.startService(serviceId);
       } catch (error) {
@@ -187,6 +354,8 @@ class ServiceManager extends EventEmitter {
    * @returns {Promise<void>}
    */
   async stopAll() {
+    this.updateChecker.stop();
+    this.crashRecovery.resetAll();
     this.configWatcher.removeAllWatchers();
     return this.processManager.stopAllProcesses();
   }
@@ -197,23 +366,164 @@ class ServiceManager extends EventEmitter {
    * @returns {Promise<void>}
    */
   async startService(serviceId) {
-    // Ensure MariaDB is initialized before starting
-    if (serviceId === 'mariadb') {
-      await this.serviceInstaller.initializeMariaDB();
+    // A manual start clears any pending restart or "gave up" state
+    this.crashRecovery.reset(serviceId);
+
+    try {
+      return await this.launchService(serviceId);
+    } catch (error) {
+      if (error.code !== 'EPORTINUSE' || !(await this.resolvePortConflict(serviceId, error))) {
+        throw error;
+      }
+      return this.launchService(serviceId);
+    }
+  }
+
+  /**
+   * Offers to move a service to a free port when one of its ports is taken
+   * @param {string} serviceId - Service identifier
+   * @param {Error} error - Port conflict error with `port` and `owner`
+   * @returns {Promise<boolean>} True if the service was moved to another port
+   * @private
+   */
+  async resolvePortConflict(serviceId, error) {
+    // Custom services can only be moved if their arguments take the port from {port}
+    const serviceConfig = config.services[serviceId];
+    if (serviceConfig?.custom && typeof serviceConfig.processArgs !== 'function') return false;
+
+    // Only the service (or pool) ports are managed by Wemp, additional nginx ports are up to the user
+    const ports = config.services[serviceId]?.workers
+      ? getPoolPorts(serviceId)
+      : [getServicePort(serviceId)];
+    if (!ports.includes(error.port)) return false;
+
+    // Pools need a free range, so they are moved as a whole
+    const alternative = await findFreePort(ports[0], ports.length);
+    if (!alternative) return false;
+
+    const serviceName = config.services[serviceId]?.name || serviceId;
+    const owner = error.owner
+      ? `${error.owner.name} (PID ${error.owner.pid})`
+      : 'another application';
+
+    if (isHeadless) {
+      if (!getHeadlessOption('move-ports')) return false;
+
+      logger.warn(
+        `Port ${error.port} is used by ${owner}, moving ${serviceName} to ${alternative}`
+      );
+      setServicePort(serviceId, alternative);
+      return true;
     }
 
+    const response = await dialog.showMessageBox({
+      type: 'warning',
+      title: `Port ${error.port} In Use`,
+      message: `${serviceName} cannot start because port ${error.port} is already in use.`,
+      detail: `The port is currently used by ${owner}.\n\nWemp can move ${serviceName} to port ${alternative} and update all related configuration files.`,
+      buttons: [`Use Port ${alternative}`, 'Cancel'],
+      defaultId: 0,
+      cancelId: 1,
+    });
+
+    if (response.response !== 0) return false;
+
+    setServicePort(serviceId, alternative);
+    return true;
+  }
+
+  /**
+   * Prepares and starts a service process, shared by manual starts and crash recovery
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<void>}
+   * @private
+   */
+  async launchService(serviceId) {
     // Auto-fallback for multi-version services with no version selected
     await this.ensureServiceVersionSelected(serviceId);
 
     // Ensure junction is valid for multi-version services
     this.versionManager.ensureJunction(serviceId);
 
-    const result = await this.processManager.startService(serviceId);
+    // Ensure MariaDB is initialized before starting, each version has its own data directory
+    if (serviceId === 'mariadb') {
+      await this.serviceInstaller.initializeMariaDB();
+    }
+
+    // Keep config files in line with the host and port settings
+    syncServiceEndpoints();
+
+    await this.waitForDependencies(serviceId);
+
+    // Custom services running an executable from elsewhere still get a folder for their files
     const servicePath = path.join(config.paths.services, serviceId);
+    if (config.services[serviceId].custom) {
+      fs.mkdirSync(servicePath, { recursive: true });
+    }
+
+    const result = await this.processManager.startService(serviceId);
     this.configWatcher.setupWatcher(serviceId, servicePath);
     return result;
   }
 
+  /**
+   * Waits for the dependencies of a service that are still starting
+   *
+   * Dependencies only order the startup, a service also starts when a dependency is stopped or
+   * unhealthy, e.g. nginx serving static files without PHP.
+   *
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<void>}
+   * @private
+   */
+  async waitForDependencies(serviceId) {
+    const serviceName = config.services[serviceId]?.name || serviceId;
+
+    for (const dependencyId of getDependencies(serviceId)) {
+      if (!config.services[dependencyId]?.executable) continue;
+
+      const status = await this.waitForServiceReady(dependencyId);
+      if (status !== 'healthy') {
+        const dependencyName = config.services[dependencyId].name;
+        logger.warn(`Starting ${serviceName} although ${dependencyName} is ${status}`);
+      }
+    }
+  }
+
+  /**
+   * Waits for a starting service to become healthy or fail
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<'healthy'|'unhealthy'|'stopped'>} Status once startup has finished
+   * @private
+   */
+  waitForServiceReady(serviceId) {
+    const status = this.processManager.getServiceStatus(serviceId);
+    if (status !== 'starting') return Promise.resolve(status);
+
+    // Startup always ends in another status because readiness probes time out
+    return new Promise(resolve => {
+      const onStatusChanged = (changedId, newStatus) => {
+        if (changedId !== serviceId || newStatus === 'starting') return;
+        this.processManager.off('process-status-changed', onStatusChanged);
+        resolve(newStatus);
+      };
+      this.processManager.on('process-status-changed', onStatusChanged);
+    });
+  }
+
+  /**
+   * Starts a crashed service again, stopping a leftover unhealthy process first
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<void>}
+   * @private
+   */
+  async recoverService(serviceId) {
+    if (this.processManager.isProcessRunning(serviceId)) {
+      await this.processManager.stopService(serviceId);
+    }
+    return this.launchService(serviceId);
+  }
+
   /**
    * Ensures a version is selected for multi-version services, auto-selecting if needed
    * @param {string} serviceId - Service identifier
@@ -244,12 +554,328 @@ class ServiceManager extends EventEmitter {
     await this.versionManager.switchServiceVersion(serviceId, targetVersion);
   }
 
+  /**
+   * Switches a multi-version service to another version
+   *
+   * MariaDB keeps the data of a series when its binaries change, so its system tables are
+   * upgraded afterwards. The installation is snapshotted first and restored together with the
+   * previous version if the new version cannot start or upgrade the data. The service must be
+   * stopped and is stopped again afterwards.
+   *
+   * @param {string} serviceId - Service identifier
+   * @param {string} targetVersion - Version to switch to
+   * @param {boolean} [checkForUpdate=false] - Whether to switch to the latest patch version
+   * @returns {Promise<void>}
+   * @throws {Error} If switching fails, for MariaDB after the previous version was restored
+   */
+  async switchServiceVersion(serviceId, targetVersion, checkForUpdate = false) {
+    if (serviceId !== 'mariadb') {
+      return this.versionManager.switchServiceVersion(serviceId, targetVersion, checkForUpdate);
+    }
+
+    await this.changeMariaDBVersion(async prepare => {
+      await prepare(targetVersion);
+      await this.versionManager.switchServiceVersion(serviceId, targetVersion, checkForUpdate);
+    });
+  }
+
+  /**
+   * Changes the active MariaDB binaries or data and upgrades the data afterwards
+   *
+   * `applyChange` calls `prepare` with the active version after the change before touching any
+   * files, which snapshots the data of its series if it is installed. Without data after the
+   * change there is nothing to upgrade, as new installations are initialized by the new version
+   * itself. On failure the data is restored from the snapshot and replaced binaries from the
+   * backup made by the update. MariaDB must be stopped and is stopped again afterwards.
+   *
+   * @param {(prepare: (version: string) => Promise<void>) => Promise<void>} applyChange - Installs
+   *   or switches to the new version, or replaces the data
+   * @returns {Promise<void>}
+   * @throws {Error} If the change fails, after the previous version was restored
+   * @private
+   */
+  async changeMariaDBVersion(applyChange) {
+    // A legacy installation becomes the versioned directory of its series
+    this.versionManager.migrateLegacyInstallation('mariadb');
+
+    const previousVersion = this.versionManager.getCurrentVersion('mariadb');
+    let targetVersion = null;
+    let previousSeriesVersion;
+
+    const isInSeries = version => getVersionPath(version) === getVersionPath(targetVersion);
+    const prepare = async version => {
+      if (!fs.existsSync(getVersionPath(version))) return;
+
+      targetVersion = version;
+      previousSeriesVersion = this.versionManager.getInstalledVersions('mariadb').find(isInSeries);
+      await createSnapshot(version);
+    };
+
+    try {
+      await applyChange(prepare);
+      if (!targetVersion) return;
+
+      if (!fs.existsSync(path.join(getVersionPath(targetVersion), 'data'))) {
+        await removeSnapshot(targetVersion);
+        return;
+      }
+
+      await this.startService('mariadb');
+
+      if ((await this.waitForServiceReady('mariadb')) !== 'healthy') {
+        throw new Error('MariaDB did not start with the existing data');
+      }
+
+      await runMariaDBUpgrade(path.join(config.paths.services, 'mariadb'));
+    } catch (error) {
+      if (!targetVersion) throw error;
+
+      logger.error(`Failed to upgrade the MariaDB data, restoring ${previousVersion}`, error);
+
+      await this.stopService('mariadb');
+      await restoreSnapshot(targetVersion);
+
+      // Binaries replaced within the series are restored from the backup made by the update
+      const failedVersion = this.versionManager.getInstalledVersions('mariadb').find(isInSeries);
+      if (previousSeriesVersion && failedVersion !== previousSeriesVersion) {
+        try {
+          restoreBackup(path.basename(getVersionPath(targetVersion)), previousSeriesVersion);
+          this.versionManager.replaceInstalledVersion(
+            'mariadb',
+            failedVersion,
+            previousSeriesVersion
+          );
+        } catch (restoreError) {
+          logger.error(
+            `Failed to restore the files of MariaDB ${previousSeriesVersion}`,
+            restoreError
+          );
+        }
+      }
+      if (
+        previousVersion !== '0.0.0' &&
+        this.versionManager.getCurrentVersion('mariadb') !== previousVersion
+      ) {
+        await this.versionManager.switchServiceVersion('mariadb', previousVersion);
+      }
+
+      throw new Error(`${error.message}. MariaDB ${previousVersion} was restored.`, {
+        cause: error,
+      });
+    }
+
+    await this.stopService('mariadb');
+    await removeSnapshot(targetVersion);
+  }
+
+  /**
+   * Removes an installed version of a multi-version service after confirmation
+   *
+   * Processes still running from the version's folder (e.g. started from a terminal) are
+   * stopped first, so its files can be deleted.
+   *
+   * @param {string} serviceId - Service identifier
+   * @param {string} version - Installed version to remove
+   * @returns {Promise<boolean>} True if the version was removed
+   * @throws {Error} If the version is active or cannot be removed
+   */
+  async removeServiceVersion(serviceId, version) {
+    const serviceName = config.services[serviceId]?.name || serviceId;
+
+    const response = await dialog.showMessageBox({
+      type: 'question',
+      title: 'Remove Version',
+      message: `Remove ${serviceName} ${version}?`,
+      detail: `The folder of ${serviceName} ${version} is deleted, including changes to its configuration. You can install the version again from the menu.`,
+      buttons: ['Remove', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1,
+    });
+    if (response.response !== 0) return false;
+
+    await this.processManager.stopProcessesInFolder(
+      serviceId,
+      path.join(config.paths.services, `${serviceId}-${getMajorMinor(version)}`)
+    );
+
+    this.versionManager.removeServiceVersion(serviceId, version);
+    notifications.showVersionRemoved(serviceName, version);
+    return true;
+  }
+
+  /**
+   * Applies the pending update of a service while Wemp is running
+   *
+   * A running service is stopped during the update and started again afterwards.
+   *
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<void>}
+   * @throws {Error} If the service has no pending update or the update fails
+   */
+  async applyUpdate(serviceId) {
+    const update = this.updateChecker.getUpdate(serviceId);
+    if (!update) {
+      throw new Error(`No update available for ${config.services[serviceId]?.name ?? serviceId}`);
+    }
+
+    const wasRunning = this.processManager.isProcessRunning(serviceId);
+    await this.stopService(serviceId);
+
+    try {
+      if (this.versionManager.serviceStates.get(serviceId)?.multiVersion) {
+        await this.switchServiceVersion(serviceId, update.targetVersion);
+      } else {
+        await this.versionManager.updateService(serviceId);
+      }
+    } finally {
+      if (wasRunning) {
+        await this.restartAfterChange(serviceId);
+      }
+      await this.updateChecker.refresh();
+    }
+
+    notifications.showServiceUpdated(config.services[serviceId].name, update.targetVersion);
+  }
+
+  /**
+   * Applies all pending updates one after another, a failed update does not stop the others
+   * @returns {Promise<void>}
+   */
+  async applyAllUpdates() {
+    for (const { serviceId } of [...this.updateChecker.updates]) {
+      try {
+        await this.applyUpdate(serviceId);
+      } catch (error) {
+        const serviceName = config.services[serviceId]?.name || serviceId;
+        logger.error(`Failed to update ${serviceName}`, error);
+        notifications.showUpdateFailed(serviceName, error.message);
+      }
+    }
+  }
+
+  /**
+   * Installs a service from a local archive or folder selected by the user
+   *
+   * A running service is stopped during the installation and started again afterwards. A MariaDB
+   * package of the active series upgrades the data like switchServiceVersion.
+   *
+   * @param {string} serviceId - Service identifier
+   * @param {Object} [options] - Installation options
+   * @param {boolean} [options.folder=false] - Whether to select an unpacked folder instead of an archive
+   * @returns {Promise<string|null>} Installed version, or null if the selection was canceled
+   * @throws {Error} If the package is invalid or cannot be installed
+   */
+  async installServiceFromFile(serviceId, { folder = false } = {}) {
+    const serviceName = config.services[serviceId]?.name || serviceId;
+
+    const result = await dialog.showOpenDialog({
+      title: `Install ${serviceName}`,
+      properties: [folder ? 'openDirectory' : 'openFile'],
+      filters: folder ? [] : [{ name: 'Archives', extensions: ['zip', 'gz', 'tgz'] }],
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+
+    const wasRunning = this.processManager.isProcessRunning(serviceId);
+    await this.stopService(serviceId);
+
+    const notification = notifications.showServiceInstalling(serviceName, 'from file');
+    try {
+      let version;
+
+      if (serviceId === 'mariadb') {
+        // Only a package of the active series replaces the binaries that use its data now,
+        // other series are upgraded when switching to them
+        const currentVersion = this.versionManager.getCurrentVersion(serviceId);
+        await this.changeMariaDBVersion(async prepare => {
+          version = await this.versionManager.installFromFile(serviceId, result.filePaths[0], {
+            onVersionDetected: detectedVersion => {
+              if (getVersionPath(detectedVersion) === getVersionPath(currentVersion)) {
+                return prepare(detectedVersion);
+              }
+            },
+          });
+        });
+      } else {
+        version = await this.versionManager.installFromFile(serviceId, result.filePaths[0]);
+      }
+
+      notifications.showServiceInstalled(serviceName, version);
+      return version;
+    } finally {
+      notification.close();
+
+      if (wasRunning) {
+        await this.restartAfterChange(serviceId);
+      }
+    }
+  }
+
+  /**
+   * Starts a service again after its installation changed
+   *
+   * A failed start is only reported, so it does not hide the outcome of the change itself.
+   *
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<void>}
+   * @private
+   */
+  async restartAfterChange(serviceId) {
+    try {
+      await this.startService(serviceId);
+    } catch (error) {
+      const serviceName = config.services[serviceId]?.name || serviceId;
+      logger.error(`Failed to start ${serviceName} again`, error);
+      notifications.showServiceError(serviceName, `Failed to start again: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rolls a service back to the version replaced by its last update after confirmation
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<boolean>} True if the service was rolled back
+   * @throws {Error} If there is no backup or it cannot be restored
+   */
+  async rollbackService(serviceId) {
+    const serviceName = config.services[serviceId]?.name || serviceId;
+    const currentVersion = this.versionManager.getCurrentVersion(serviceId);
+    const version = this.versionManager.getRollbackVersion(serviceId);
+    if (!version) {
+      throw new Error(`No previous version of ${serviceName} to roll back to`);
+    }
+
+    const response = await dialog.showMessageBox({
+      type: 'question',
+      title: 'Roll Back',
+      message: `Roll back ${serviceName} ${currentVersion} to ${version}?`,
+      detail: `The files of ${serviceName} ${version} are restored from the backup made by the update. Pin the version to keep it from being updated again.`,
+      buttons: ['Roll Back', 'Cancel'],
+      defaultId: 0,
+      cancelId: 1,
+    });
+    if (response.response !== 0) return false;
+
+    const wasRunning = this.processManager.isProcessRunning(serviceId);
+    await this.stopService(serviceId);
+
+    try {
+      this.versionManager.rollbackService(serviceId);
+    } finally {
+      if (wasRunning) {
+        await this.restartAfterChange(serviceId);
+      }
+    }
+
+    notifications.showServiceRolledBack(serviceName, version);
+    return true;
+  }
+
   /**
    * Stops a specific service and removes config monitoring
    * @param {string} serviceId - Service identifier
    * @returns {Promise<void>}
    */
   async stopService(serviceId) {
+    this.crashRecovery.reset(serviceId);
     this.configWatcher.removeWatcher(serviceId);
     return this.processManager.stopService(serviceId);
   }
@@ -257,20 +883,182 @@ class ServiceManager extends EventEmitter {
   /**
    * Restarts a specific service
    * @param {string} serviceId - Service identifier
+   * @param {Object} [options] - Restart options
+   * @param {boolean} [options.cascade=false] - Also restart running services that depend on it
    * @returns {Promise<void>}
    */
-  async restartService(serviceId) {
+  async restartService(serviceId, { cascade = false } = {}) {
+    this.crashRecovery.reset(serviceId);
     const servicePath = path.join(config.paths.services, serviceId);
-    await this.processManager.restartProcess(serviceId, servicePath);
+
+    const dependents = cascade
+      ? getDependents(serviceId).filter(id => this.processManager.isProcessRunning(id))
+      : [];
+
+    // Stop dependents first (in reverse order) so none of them runs without its dependency
+    for (const dependentId of [...dependents].reverse()) {
+      await this.stopService(dependentId);
+    }
+
+    try {
+      await this.processManager.restartProcess(serviceId, servicePath);
+    } finally {
+      for (const dependentId of dependents) {
+        try {
+          await this.startService(dependentId);
+        } catch (error) {
+          logger.error(`Failed to start ${dependentId} after restarting ${serviceId}`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Applies configuration changes of a service, in place if the service supports reloading
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<void>}
+   */
+  async reloadService(serviceId) {
+    this.crashRecovery.reset(serviceId);
+    await this.processManager.reloadService(serviceId);
+  }
+
+  /**
+   * Generates a new MariaDB root password, sets one chosen by the user or removes it after
+   * confirmation
+   *
+   * A chosen password is taken from the clipboard, as the tray has no text input. A generated
+   * password is copied to the clipboard, as Wemp and phpMyAdmin use it automatically and the
+   * user only needs it for other clients.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If MariaDB is not running or rejects the change
+   */
+  async setMariaDBRootPassword() {
+    if (this.processManager.getServiceStatus('mariadb') !== 'healthy') {
+      throw new Error('MariaDB must be running to change the root password');
+    }
+
+    const hasPassword = hasMariaDBPassword();
+    const buttons = ['Generate Password', 'Use Copied Password'];
+    if (hasPassword) buttons.push('Remove Password');
+    buttons.push('Cancel');
+
+    const response = await dialog.showMessageBox({
+      type: 'question',
+      title: 'Set Root Password',
+      message: 'Set a new password for the MariaDB root user?',
+      detail:
+        'Generate a password, or copy the password you want to use to the clipboard and click "Use Copied Password". The password is stored encrypted for your user account and used by Wemp and phpMyAdmin automatically. A generated password is copied to the clipboard for use in other clients.',
+      buttons,
+      defaultId: 0,
+      cancelId: buttons.length - 1,
+    });
+
+    switch (buttons[response.response]) {
+      case 'Generate Password': {
+        const password = crypto.randomBytes(18).toString('base64url');
+        await changeMariaDBPassword(password);
+        clipboard.writeText(password);
+        notifications.showRootPasswordChanged(true);
+        break;
+      }
+      case 'Use Copied Password': {
+        const password = clipboard.readText();
+        if (!password || /[\r\n]/.test(password)) {
+          throw new Error('Copy a password without line breaks to the clipboard first');
+        }
+        await changeMariaDBPassword(password);
+        notifications.showRootPasswordChanged(true, { copied: false });
+        break;
+      }
+      case 'Remove Password':
+        await changeMariaDBPassword('');
+        notifications.showRootPasswordChanged(false);
+        break;
+    }
+  }
+
+  /**
+   * Copies the databases of another installed MariaDB version to the current one after confirmation
+   *
+   * The current data is kept as a backup. The copied data is upgraded with mariadb-upgrade, as
+   * newer versions may change the system tables. If MariaDB cannot start with the copied data or
+   * the upgrade fails, the installation is restored from a snapshot taken before the copy.
+   *
+   * @param {string} sourceVersion - Installed version to copy the data from
+   * @returns {Promise<void>}
+   * @throws {Error} If the data cannot be used by the current version or the migration fails
+   */
+  async migrateMariaDBData(sourceVersion) {
+    const targetVersion = this.versionManager.getCurrentVersion('mariadb');
+
+    if (!canMigrateData(sourceVersion, targetVersion)) {
+      throw new Error(
+        `MariaDB ${targetVersion} cannot use data of the newer version ${sourceVersion}`
+      );
+    }
+
+    const response = await dialog.showMessageBox({
+      type: 'question',
+      title: 'Migrate Data',
+      message: `Copy the databases of MariaDB ${sourceVersion} to ${targetVersion}?`,
+      detail: `The current databases of MariaDB ${targetVersion} are kept as a backup in its folder. MariaDB ${sourceVersion} keeps its own copy.`,
+      buttons: ['Migrate', 'Cancel'],
+      defaultId: 0,
+      cancelId: 1,
+    });
+    if (response.response !== 0) return;
+
+    await this.stopService('mariadb');
+
+    // The copied data is upgraded, and replaced by the previous data again if that fails
+    let backupPath;
+    await this.changeMariaDBVersion(async prepare => {
+      await prepare(targetVersion);
+      backupPath = await copyData(sourceVersion, targetVersion);
+    });
+    if (backupPath) logger.info(`Kept previous MariaDB ${targetVersion} data in ${backupPath}`);
+
+    await this.startService('mariadb');
+    notifications.showDataMigrated(sourceVersion, targetVersion);
   }
 
   /**
    * Gets current status of all services
-   * @returns {Object} Service status map
+   * @returns {Object<string, 'starting'|'healthy'|'unhealthy'|'stopped'>} Service status map
    */
   getStatus() {
     return this.processManager.getProcessStatus();
   }
+
+  /**
+   * Gets the size and busy/idle state of a pooled service
+   * @param {string} serviceId - Service identifier
+   * @returns {Promise<{size: number, alive: number, busy: number, idle: number}|null>} Pool state or null if not a running pool
+   */
+  getPoolStats(serviceId) {
+    return this.processManager.getPoolStats(serviceId);
+  }
+
+  /**
+   * Gets the crash recovery state of a service
+   * @param {string} serviceId - Service identifier
+   * @returns {{status: 'restarting'|'gave-up', attempt: number, maxAttempts: number}|null} Recovery state or null if idle
+   */
+  getRecoveryState(serviceId) {
+    return this.crashRecovery.getState(serviceId);
+  }
+
+  /**
+   * Gets the CPU and memory usage of a service, including its child processes
+   * @param {string} serviceId - Service identifier
+   * @returns {{cpu: number, memory: number, history: Array<{timestamp: number, cpu: number, memory: number}>}|null}
+   *   CPU in percent of all cores and memory in bytes, or null if not running or not sampled yet
+   */
+  getResourceUsage(serviceId) {
+    return this.processManager.getResourceUsage(serviceId);
+  }
 }
 
 export const serviceManager = new ServiceManager();
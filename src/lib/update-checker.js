@@ -0,0 +1,96 @@
+import { EventEmitter } from 'node:events';
+
+import settings from 'electron-settings';
+
+import config from '../config.js';
+import logger from './logger.js';
+
+/**
+ * Periodically checks for service updates while Wemp is running
+ *
+ * Updates are only collected, applying them is up to the user (see ServiceManager.applyUpdate).
+ *
+ * @extends EventEmitter
+ * @fires UpdateChecker#updates-changed - Emitted when the list of pending updates changed
+ */
+export class UpdateChecker extends EventEmitter {
+  /**
+   * Creates a new UpdateChecker instance
+   * @param {VersionManager} versionManager - Version manager to check for updates
+   */
+  constructor(versionManager) {
+    super();
+    /** @type {VersionManager} Version manager to check for updates */
+    this.versionManager = versionManager;
+    /** @type {Array<{serviceId: string, currentVersion: string, targetVersion: string, releaseNotesUrl: string|null}>} */
+    this.updates = [];
+    /** @type {NodeJS.Timeout|null} Check timer */
+    this.timer = null;
+  }
+
+  /**
+   * Starts checking at the interval of the `updateCheckInterval` setting or config.updates
+   */
+  start() {
+    if (this.timer) return;
+
+    const interval = settings.getSync('updateCheckInterval') ?? config.updates.checkInterval;
+    if (!(interval > 0)) {
+      logger.info('Background update checks are disabled');
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.check().catch(error => logger.warn('Background update check failed', error));
+    }, interval);
+  }
+
+  /**
+   * Stops checking
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Fetches the available versions and collects the pending updates
+   * @returns {Promise<void>}
+   */
+  async check() {
+    await this.versionManager.checkForUpdates();
+    await this.refresh();
+  }
+
+  /**
+   * Collects the pending updates from the last fetched versions, e.g. after an update was applied
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    const updates = await this.versionManager.getPendingUpdates();
+    if (JSON.stringify(updates) === JSON.stringify(this.updates)) return;
+
+    const known = new Set(
+      this.updates.map(update => `${update.serviceId}@${update.targetVersion}`)
+    );
+    for (const update of updates) {
+      if (!known.has(`${update.serviceId}@${update.targetVersion}`)) {
+        logger.info(
+          `${config.services[update.serviceId]?.name ?? update.serviceId} update available: ${update.currentVersion} -> ${update.targetVersion}`
+        );
+      }
+    }
+
+    this.updates = updates;
+    this.emit('updates-changed', updates);
+  }
+
+  /**
+   * Gets the pending update of a service
+   * @param {string} serviceId - Service identifier
+   * @returns {{serviceId: string, currentVersion: string, targetVersion: string, releaseNotesUrl: string|null}|undefined}
+   */
+  getUpdate(serviceId) {
+    return this.updates.find(update => update.serviceId === serviceId);
+  }
+}
@@ -1,4 +1,3 @@
-import { spawn, spawnSync } from 'node:child_process';
 import { EventEmitter } from 'node:events';
 import fs from 'node:fs';
 import path from 'node:path';
@@ -7,45 +6,18 @@ import settings from 'electron-settings';
 
 import config from '../config.js';
 import { fetchServiceVersions } from './api-client.js';
-import { downloadService } from './downloader.js';
+import { listBackups, removeBackups, restoreBackup } from './backups.js';
+import { downloadService, installLocalPackage } from './downloader.js';
+import { copyEnvFile } from './env-file.js';
 import logger from './logger.js';
 import * as notifications from './notifications.js';
-
-/**
- * Compares two semantic version strings
- * @param {string} version1 - First version (e.g., "1.2.3")
- * @param {string} version2 - Second version (e.g., "1.2.1")
- * @returns {boolean} True if version1 is greater than version2
- * @private
- */
-function isVersionGreater(version1, version2) {
-  if (!version1 || !version2) return false;
-
-  const v1Parts = version1.split('.').map(Number);
-  const v2Parts = version2.split('.').map(Number);
-  const maxLength = Math.max(v1Parts.length, v2Parts.length);
-
-  // Compare each version segment numerically
-  for (let i = 0; i < maxLength; i++) {
-    const v1Part = v1Parts[i] || 0;
-    const v2Part = v2Parts[i] || 0;
-    if (v1Part !== v2Part) return v1Part > v2Part;
-  }
-
-  // Versions are equal
-  return false;
-}
-
-/**
- * Extracts major.minor from a version string
- * @param {string} version - Version string (e.g., "8.3.28")
- * @returns {string} Major.minor version (e.g., "8.3")
- * @private
- */
-function getMajorMinor(version) {
-  const [major, minor] = version.split('.');
-  return `${major}.${minor}`;
-}
+import platform from './platform/index.js';
+import {
+  compareVersionsDescending,
+  getMajorMinor,
+  isPrerelease,
+  isVersionGreater,
+} from './version.js';
 
 /**
  * Manages service version tracking and updates
@@ -55,12 +27,16 @@ function getMajorMinor(version) {
  *
  * @extends EventEmitter
  * @fires VersionManager#version-changed - Emitted when a service version changes
+ * @fires VersionManager#version-removed - Emitted when an installed version was removed
+ * @fires VersionManager#pin-changed - Emitted when a version was pinned or unpinned
  */
 export class VersionManager extends EventEmitter {
   constructor() {
     super();
     /** @type {Map<string, {currentVersion: string, availableVersion: string, downloadUrl: string}>} */
     this.serviceStates = new Map();
+    /** @type {Set<string>} Unknown channel settings that were already logged */
+    this.warnedChannels = new Set();
     this.migrateLegacySettings();
     this.scanAndSyncInstalledVersions();
   }
@@ -106,7 +82,9 @@ export class VersionManager extends EventEmitter {
           const minor = match[2];
 
           // Find matching version in stored list
-          const matchingVersion = storedVersions.find(v => v.startsWith(`${major}.${minor}.`));
+          const matchingVersion = storedVersions.find(
+            v => getMajorMinor(v) === `${major}.${minor}`
+          );
           if (matchingVersion) {
             foundVersions.add(matchingVersion);
           }
@@ -115,11 +93,7 @@ export class VersionManager extends EventEmitter {
         logger.warn(`Failed to scan for ${serviceId} versions:`, error);
       }
 
-      const finalVersions = Array.from(foundVersions).sort((a, b) => {
-        const [aMajor, aMinor, aPatch] = a.split('.').map(Number);
-        const [bMajor, bMinor, bPatch] = b.split('.').map(Number);
-        return bMajor - aMajor || bMinor - aMinor || bPatch - aPatch;
-      });
+      const finalVersions = Array.from(foundVersions).sort(compareVersionsDescending);
 
       if (finalVersions.length > 0) {
         if (JSON.stringify(installedVersions[serviceId]) !== JSON.stringify(finalVersions)) {
@@ -144,6 +118,8 @@ export class VersionManager extends EventEmitter {
    * @returns {Promise<void>}
    */
   async checkForUpdates() {
+    this.refreshCustomServiceStates();
+
     const apiVersions = await fetchServiceVersions();
 
     // Fallback to installed versions if API is unreachable
@@ -171,20 +147,45 @@ export class VersionManager extends EventEmitter {
       return;
     }
 
+    const allowPrereleases = settings.getSync('prereleases') ?? config.updates.prereleases;
+
     for (const [serviceId, serviceConfig] of Object.entries(config.services)) {
-      if (!apiVersions[serviceId]) continue;
+      if (!apiVersions[serviceId] || serviceConfig.custom) continue;
 
       const apiData = apiVersions[serviceId];
       const currentVersion = this.getCurrentVersion(serviceId);
+      const channel = this.getChannel(serviceId);
+      this.warnUnknownChannel(serviceId);
 
-      if (apiData.versions && Array.isArray(apiData.versions)) {
-        const firstVersion = apiData.versions[0];
+      // The manifest lists the release of each channel, or a single release for all of them
+      const release = (channel && apiData.channels?.[channel]) || apiData;
 
-        // Merge API versions with installed versions
+      // Multi-version services are installed side by side even if the API lists a single version
+      const apiVersionList =
+        apiData.versions ??
+        (serviceConfig.multiVersion
+          ? [{ version: release.version, downloadUrl: release.downloadUrl }]
+          : null);
+
+      if (Array.isArray(apiVersionList)) {
         const installedVersions = this.getInstalledVersions(serviceId);
+
+        // Pre-releases and versions of other channels are only offered on request, but installed
+        // ones stay selectable
+        const offeredVersions = apiVersionList
+          .filter(
+            v =>
+              installedVersions.includes(v.version) ||
+              ((allowPrereleases || !isPrerelease(v.version)) &&
+                (!channel || !v.channels || v.channels.includes(channel)))
+          )
+          .sort((a, b) => compareVersionsDescending(a.version, b.version));
+        const firstVersion = offeredVersions[0] ?? {};
+
+        // Merge API versions with installed versions
         const allVersions = new Map();
 
-        apiData.versions.forEach(v => {
+        offeredVersions.forEach(v => {
           allVersions.set(v.version, { ...v, installed: installedVersions.includes(v.version) });
         });
 
@@ -206,7 +207,18 @@ export class VersionManager extends EventEmitter {
         continue;
       }
 
-      const { version: availableVersion, downloadUrl } = apiData;
+      const { downloadUrl } = release;
+      let availableVersion = release.version;
+
+      if (
+        isPrerelease(availableVersion) &&
+        !allowPrereleases &&
+        currentVersion !== '0.0.0' &&
+        availableVersion !== currentVersion
+      ) {
+        logger.info(`Ignoring ${serviceConfig.name} pre-release ${availableVersion}`);
+        availableVersion = currentVersion;
+      }
 
       if (currentVersion !== '0.0.0' && isVersionGreater(availableVersion, currentVersion)) {
         logger.info(
@@ -214,7 +226,12 @@ export class VersionManager extends EventEmitter {
         );
       }
 
-      this.serviceStates.set(serviceId, { currentVersion, availableVersion, downloadUrl });
+      this.serviceStates.set(serviceId, {
+        currentVersion,
+        availableVersion,
+        downloadUrl,
+        releaseNotesUrl: release.releaseNotesUrl,
+      });
     }
 
     // Log summary
@@ -228,6 +245,70 @@ export class VersionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Gets the release channel a service follows
+   *
+   * The channel is taken from the `channels` setting, falling back to the first channel of the
+   * service in config.services if it is missing or unknown.
+   *
+   * @param {string} serviceId - Service identifier
+   * @returns {string|null} Channel name, or null if the service has no channels
+   */
+  getChannel(serviceId) {
+    const channels = Object.keys(config.services[serviceId]?.channels ?? {});
+    if (channels.length === 0) return null;
+
+    const channel = settings.getSync(`channels.${serviceId}`);
+    return channel && channels.includes(channel) ? channel : channels[0];
+  }
+
+  /**
+   * Logs once when the `channels` setting selects a channel the service does not have
+   * @param {string} serviceId - Service identifier
+   * @private
+   */
+  warnUnknownChannel(serviceId) {
+    const channels = Object.keys(config.services[serviceId]?.channels ?? {});
+    const channel = settings.getSync(`channels.${serviceId}`);
+    if (!channel || channels.length === 0 || channels.includes(channel)) return;
+
+    const key = `${serviceId}:${channel}`;
+    if (this.warnedChannels.has(key)) return;
+
+    this.warnedChannels.add(key);
+    logger.warn(`Unknown ${serviceId} channel "${channel}", using ${channels[0]}`);
+  }
+
+  /**
+   * Sets the state of custom services, which are not listed by the API
+   *
+   * Custom services with a `downloadUrl` are installed like built-in services and updated when
+   * their `version` is raised. Other custom services are managed by the user.
+   *
+   * @private
+   */
+  refreshCustomServiceStates() {
+    for (const [serviceId, serviceConfig] of Object.entries(config.services)) {
+      if (!serviceConfig.custom) continue;
+
+      if (!serviceConfig.downloadUrl) {
+        const version = serviceConfig.version || '';
+        this.serviceStates.set(serviceId, {
+          currentVersion: version,
+          availableVersion: version,
+          downloadUrl: '',
+        });
+        continue;
+      }
+
+      this.serviceStates.set(serviceId, {
+        currentVersion: this.getCurrentVersion(serviceId),
+        availableVersion: serviceConfig.version || 'latest',
+        downloadUrl: serviceConfig.downloadUrl,
+      });
+    }
+  }
+
   /**
    * Checks if service directory exists and has content
    * @param {string} serviceId - Service identifier
@@ -252,8 +333,10 @@ export class VersionManager extends EventEmitter {
    */
   isJunctionValid(serviceId, version) {
     const servicePath = path.join(config.paths.services, serviceId);
-    const [major, minor] = version.split('.');
-    const expectedTarget = path.join(config.paths.services, `${serviceId}-${major}.${minor}`);
+    const expectedTarget = path.join(
+      config.paths.services,
+      `${serviceId}-${getMajorMinor(version)}`
+    );
 
     try {
       const stats = fs.lstatSync(servicePath);
@@ -315,8 +398,7 @@ export class VersionManager extends EventEmitter {
 
     if (this.isJunctionValid(serviceId, version)) return true;
 
-    const [major, minor] = version.split('.');
-    const versionId = `${serviceId}-${major}.${minor}`;
+    const versionId = `${serviceId}-${getMajorMinor(version)}`;
 
     try {
       this.updateServiceJunction(serviceId, versionId, true);
@@ -349,8 +431,10 @@ export class VersionManager extends EventEmitter {
 
     // Validate multi-version directories against actual disk state
     const validVersions = storedVersions.filter(version => {
-      const [major, minor] = version.split('.');
-      const versionPath = path.join(config.paths.services, `${serviceId}-${major}.${minor}`);
+      const versionPath = path.join(
+        config.paths.services,
+        `${serviceId}-${getMajorMinor(version)}`
+      );
       return fs.existsSync(versionPath);
     });
 
@@ -382,7 +466,6 @@ export class VersionManager extends EventEmitter {
    * @param {string} serviceId - Service identifier
    * @param {string} oldVersion - Version to remove
    * @param {string} newVersion - Version to add
-   * @private
    */
   replaceInstalledVersion(serviceId, oldVersion, newVersion) {
     const installed = settings.getSync(`installedVersions.${serviceId}`) || [];
@@ -417,9 +500,10 @@ export class VersionManager extends EventEmitter {
    * @returns {boolean} True if updates are available
    */
   hasAvailableUpdates() {
-    return Array.from(this.serviceStates.entries()).some(([, state]) => {
+    return Array.from(this.serviceStates.entries()).some(([serviceId, state]) => {
       if (state.multiVersion) return false;
       if (state.currentVersion === '0.0.0') return false;
+      if (this.isVersionPinned(serviceId, state.currentVersion)) return false;
       return isVersionGreater(state.availableVersion, state.currentVersion);
     });
   }
@@ -430,9 +514,10 @@ export class VersionManager extends EventEmitter {
    */
   getServicesNeedingUpdate() {
     return Array.from(this.serviceStates.entries())
-      .filter(([, state]) => {
+      .filter(([serviceId, state]) => {
         if (state.multiVersion) return false;
         if (state.currentVersion === '0.0.0') return false;
+        if (this.isVersionPinned(serviceId, state.currentVersion)) return false;
         return isVersionGreater(state.availableVersion, state.currentVersion);
       })
       .map(([serviceId]) => serviceId);
@@ -448,6 +533,88 @@ export class VersionManager extends EventEmitter {
       .map(([serviceId]) => serviceId);
   }
 
+  /**
+   * Gets the updates that can be applied to the installed services
+   *
+   * Multi-version services are updated to the latest patch version of the active series.
+   *
+   * @returns {Promise<Array<{serviceId: string, currentVersion: string, targetVersion: string, releaseNotesUrl: string|null}>>}
+   */
+  async getPendingUpdates() {
+    const updates = this.getServicesNeedingUpdate().map(serviceId => {
+      const state = this.serviceStates.get(serviceId);
+      return {
+        serviceId,
+        currentVersion: state.currentVersion,
+        targetVersion: state.availableVersion,
+        releaseNotesUrl: this.getReleaseNotesUrl(serviceId, state.availableVersion),
+      };
+    });
+
+    for (const [serviceId, state] of this.serviceStates) {
+      if (!state.multiVersion) continue;
+
+      const updateInfo = await this.checkForPatchUpdate(serviceId);
+      if (updateInfo.hasUpdate) {
+        updates.push({
+          serviceId,
+          currentVersion: updateInfo.currentVersion,
+          targetVersion: updateInfo.latestVersion,
+          releaseNotesUrl: this.getReleaseNotesUrl(serviceId, updateInfo.latestVersion),
+        });
+      }
+    }
+
+    return updates;
+  }
+
+  /**
+   * Gets the release notes of a version, from the API or the service's `releaseNotes` link
+   * @param {string} serviceId - Service identifier
+   * @param {string} version - Version
+   * @returns {string|null} URL of the release notes, or null if unknown
+   */
+  getReleaseNotesUrl(serviceId, version) {
+    const state = this.serviceStates.get(serviceId);
+    const apiUrl =
+      state?.availableVersions?.find(v => v.version === version)?.releaseNotesUrl ??
+      (state?.availableVersion === version ? state.releaseNotesUrl : null);
+
+    return apiUrl || config.services[serviceId]?.releaseNotes?.(version) || null;
+  }
+
+  /**
+   * Checks whether a version of a service is pinned and must not be updated automatically
+   * @param {string} serviceId - Service identifier
+   * @param {string} version - Version to check
+   * @returns {boolean} True if the version is pinned
+   */
+  isVersionPinned(serviceId, version) {
+    const pinned = settings.getSync(`pinnedVersions.${serviceId}`) || [];
+    return pinned.includes(version);
+  }
+
+  /**
+   * Pins or unpins a version of a service
+   *
+   * Pinned versions are kept exactly, e.g. to reproduce a bug of a production server. Multi-version
+   * services are pinned per installed version, so other series are still updated.
+   *
+   * @param {string} serviceId - Service identifier
+   * @param {string} version - Version to pin or unpin
+   * @param {boolean} pinned - Whether the version should be pinned
+   */
+  setVersionPinned(serviceId, version, pinned) {
+    const versions = (settings.getSync(`pinnedVersions.${serviceId}`) || []).filter(
+      v => v !== version
+    );
+    if (pinned) versions.push(version);
+    settings.setSync(`pinnedVersions.${serviceId}`, versions);
+
+    logger.info(`${pinned ? 'Pinned' : 'Unpinned'} ${serviceId} ${version}`);
+    this.emit('pin-changed', serviceId, version, pinned);
+  }
+
   /**
    * Checks if there's a newer patch version available for a specific version
    * @param {string} serviceId - Service identifier
@@ -468,17 +635,16 @@ export class VersionManager extends EventEmitter {
     const versionToCheck = targetVersion || this.getCurrentVersion(serviceId);
     if (versionToCheck === '0.0.0') return noUpdate();
 
+    // Pinned versions stay exactly as they are
+    if (this.isVersionPinned(serviceId, versionToCheck)) return noUpdate(versionToCheck);
+
     const currentMajorMinor = getMajorMinor(versionToCheck);
 
     // Find the latest version in the same major.minor series
     const sameSeriesVersions = (serviceState.availableVersions || [])
       .filter(v => getMajorMinor(v.version) === currentMajorMinor && !v.deprecated)
       .map(v => v.version)
-      .sort((a, b) => {
-        const [aMajor, aMinor, aPatch] = a.split('.').map(Number);
-        const [bMajor, bMinor, bPatch] = b.split('.').map(Number);
-        return bMajor - aMajor || bMinor - aMinor || bPatch - aPatch;
-      });
+      .sort(compareVersionsDescending);
 
     if (sameSeriesVersions.length === 0) return noUpdate(versionToCheck);
 
@@ -530,6 +696,10 @@ export class VersionManager extends EventEmitter {
 
     logger.info(`Switching ${serviceConfig.name} to ${targetVersion}`);
 
+    // Move a single-version installation to its versioned directory first, so an update within
+    // its series keeps the user's files (e.g. MariaDB databases)
+    this.migrateLegacyInstallation(serviceId);
+
     const isInstalled = fs.existsSync(versionPath);
     const installedVersions = this.getInstalledVersions(serviceId);
     const targetMajorMinor = getMajorMinor(targetVersion);
@@ -575,12 +745,16 @@ export class VersionManager extends EventEmitter {
           id: versionId,
           version: targetVersion,
           downloadUrl: versionData.downloadUrl,
+          previousVersion: isUpdate ? existingVersionInSeries : undefined,
         });
       } finally {
         notification.close();
       }
     }
 
+    // Keep the environment variables of the service when switching to a new version
+    copyEnvFile(path.join(config.paths.services, serviceId), versionPath);
+
     await this.updateServiceJunction(serviceId, versionId);
 
     // Remove old version from same major.minor series and add new version
@@ -603,6 +777,68 @@ export class VersionManager extends EventEmitter {
     this.emit('version-changed', serviceId, targetVersion);
   }
 
+  /**
+   * Removes an installed version of a multi-version service
+   * @param {string} serviceId - Service identifier
+   * @param {string} version - Installed version to remove
+   * @returns {void}
+   * @throws {Error} If the version is not installed, is active or its directory cannot be removed
+   */
+  removeServiceVersion(serviceId, version) {
+    // Validate serviceId is a known service (security: prevent path traversal)
+    const serviceConfig = config.services[serviceId];
+    if (!serviceConfig) {
+      throw new Error(`Unknown service: ${serviceId}`);
+    }
+
+    const serviceState = this.serviceStates.get(serviceId);
+    if (!serviceState?.multiVersion) {
+      throw new Error(`${serviceConfig.name} does not support multiple versions`);
+    }
+    if (!this.getInstalledVersions(serviceId).includes(version)) {
+      throw new Error(`${serviceConfig.name} ${version} is not installed`);
+    }
+    if (getMajorMinor(version) === getMajorMinor(this.getCurrentVersion(serviceId))) {
+      throw new Error(`${serviceConfig.name} ${version} is the active version`);
+    }
+
+    const versionPath = path.join(config.paths.services, `${serviceId}-${getMajorMinor(version)}`);
+
+    // Only ever delete a real version directory, never what a link points to
+    let stats = null;
+    try {
+      stats = fs.lstatSync(versionPath);
+    } catch {
+      // Already removed by hand, only the settings are left
+    }
+    if (stats && !stats.isDirectory()) {
+      throw new Error(`${versionPath} is not a version directory`);
+    }
+    if (stats) {
+      fs.rmSync(versionPath, { recursive: true, maxRetries: 3, retryDelay: 500 });
+    }
+    removeBackups(`${serviceId}-${getMajorMinor(version)}`);
+
+    const installed = settings.getSync(`installedVersions.${serviceId}`) || [];
+    settings.setSync(
+      `installedVersions.${serviceId}`,
+      installed.filter(v => v !== version)
+    );
+    if (this.isVersionPinned(serviceId, version)) {
+      this.setVersionPinned(serviceId, version, false);
+    }
+
+    // Versions only known from the installation are no longer available at all
+    serviceState.availableVersions = serviceState.availableVersions.filter(
+      v => v.version !== version || v.downloadUrl
+    );
+    this.refreshServiceState(serviceId);
+
+    logger.info(`Removed ${serviceConfig.name} ${version}`);
+
+    this.emit('version-removed', serviceId, version);
+  }
+
   /**
    * Refreshes service state to reflect current installed versions
    * @param {string} serviceId - Service identifier
@@ -668,6 +904,23 @@ export class VersionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Moves a legacy single-version directory to its versioned directory, if there is one
+   * @param {string} serviceId - Service identifier
+   */
+  migrateLegacyInstallation(serviceId) {
+    const serviceLink = path.join(config.paths.services, serviceId);
+
+    try {
+      const stats = fs.lstatSync(serviceLink);
+      if (stats.isSymbolicLink() || !stats.isDirectory()) return;
+    } catch {
+      return; // Path doesn't exist
+    }
+
+    this.migrateLegacyServiceDirectory(serviceId, serviceLink);
+  }
+
   /**
    * Migrates legacy single-version directory to versioned format or removes it
    * @param {string} serviceId - Service identifier
@@ -679,16 +932,28 @@ export class VersionManager extends EventEmitter {
 
     // Attempt migration if we have version info
     if (settingsVersion && settingsVersion !== '0.0.0') {
-      const [major, minor] = settingsVersion.split('.');
-      const legacyTarget = path.join(config.paths.services, `${serviceId}-${major}.${minor}`);
+      const legacyTarget = path.join(
+        config.paths.services,
+        `${serviceId}-${getMajorMinor(settingsVersion)}`
+      );
 
       if (!fs.existsSync(legacyTarget)) {
         logger.info(`Migrating ${serviceId} ${settingsVersion} to versioned directory`);
         fs.renameSync(serviceLink, legacyTarget);
+        this.addInstalledVersion(serviceId, settingsVersion);
         return;
       }
     }
 
+    // Never delete user files (e.g. MariaDB databases or the nginx web root), keep them aside
+    const preserved = config.services[serviceId]?.preserve || [];
+    if (preserved.some(entry => fs.existsSync(path.join(serviceLink, entry)))) {
+      const backupPath = `${serviceLink}-backup-${Date.now()}`;
+      logger.warn(`Moving legacy ${serviceId} directory with user files to ${backupPath}`);
+      fs.renameSync(serviceLink, backupPath);
+      return;
+    }
+
     // No migration possible, remove directory
     fs.rmSync(serviceLink, { recursive: true, force: true });
   }
@@ -705,51 +970,25 @@ export class VersionManager extends EventEmitter {
     const serviceLink = path.join(config.paths.services, serviceId);
     const versionTarget = path.join(config.paths.services, versionId);
 
-    if (sync) {
+    const createLink = () => {
       this.removeServiceLink(serviceId);
 
-      const result = spawnSync('cmd', ['/c', 'mklink', '/J', serviceLink, versionTarget], {
-        windowsHide: true,
-      });
-
-      if (result.status === 0) {
-        logger.info(`Created junction: ${serviceId} -> ${versionId}`);
-      } else {
-        throw new Error(
-          `Failed to create junction: ${result.stderr?.toString() || 'Unknown error'}`
-        );
+      try {
+        // A junction on Windows, a symlink on other platforms
+        platform.createDirectoryLink(versionTarget, serviceLink);
+      } catch (error) {
+        throw new Error(`Failed to create junction: ${error.message}`, { cause: error });
       }
-    } else {
-      return new Promise((resolve, reject) => {
-        try {
-          this.removeServiceLink(serviceId);
-        } catch (err) {
-          reject(err);
-          return;
-        }
-
-        const mklink = spawn('cmd', ['/c', 'mklink', '/J', serviceLink, versionTarget], {
-          stdio: 'pipe',
-          windowsHide: true,
-        });
 
-        let stderr = '';
-        mklink.stderr?.on('data', data => {
-          stderr += data.toString();
-        });
-
-        mklink.on('exit', code => {
-          if (code === 0) {
-            logger.info(`Created junction: ${serviceId} -> ${versionId}`);
-            resolve();
-          } else {
-            reject(new Error(`Failed to create junction: ${stderr || 'Unknown error'}`));
-          }
-        });
+      logger.info(`Created junction: ${serviceId} -> ${versionId}`);
+    };
 
-        mklink.on('error', reject);
-      });
+    if (sync) {
+      createLink();
+      return;
     }
+
+    return new Promise(resolve => resolve(createLink()));
   }
 
   /**
@@ -787,6 +1026,7 @@ export class VersionManager extends EventEmitter {
         id: serviceId,
         version: availableVersion,
         downloadUrl,
+        previousVersion: isFirstInstall ? undefined : state.currentVersion,
       });
 
       // Update persisted version and in-memory state
@@ -802,6 +1042,154 @@ export class VersionManager extends EventEmitter {
     }
   }
 
+  /**
+   * Installs a service from a local archive or folder and registers the detected version
+   *
+   * Multi-version services get the folder of the detected major.minor version, replacing an
+   * installed version of the same series. Other services are replaced.
+   *
+   * @param {string} serviceId - Service identifier
+   * @param {string} sourcePath - Path to a .zip or .tar.gz archive or an unpacked folder
+   * @param {Object} [options] - Installation options
+   * @param {(version: string) => Promise<void>|void} [options.onVersionDetected] - Called with
+   *   the detected version before any installed files are replaced
+   * @returns {Promise<string>} Installed version
+   * @throws {Error} If the service cannot be installed from a file or the package is invalid
+   */
+  async installFromFile(serviceId, sourcePath, { onVersionDetected } = {}) {
+    // Validate serviceId is a known service (security: prevent path traversal)
+    const serviceConfig = config.services[serviceId];
+    if (!serviceConfig?.versionArgs) {
+      throw new Error(`${serviceConfig?.name ?? serviceId} cannot be installed from a file`);
+    }
+
+    const state = this.serviceStates.get(serviceId) ?? {};
+    const isMultiVersion = Boolean(state.multiVersion || serviceConfig.multiVersion);
+
+    // Move a single-version installation to its versioned directory first, so the package
+    // replaces it instead of starting with an empty folder
+    if (isMultiVersion) {
+      this.migrateLegacyInstallation(serviceId);
+    }
+
+    const currentVersion = this.getCurrentVersion(serviceId);
+    let previousVersion;
+
+    const version = await installLocalPackage(
+      { ...serviceConfig, id: serviceId },
+      sourcePath,
+      async detectedVersion => {
+        await onVersionDetected?.(detectedVersion);
+
+        if (!isMultiVersion) {
+          previousVersion = currentVersion !== '0.0.0' ? currentVersion : undefined;
+          return { id: serviceId, previousVersion };
+        }
+
+        const majorMinor = getMajorMinor(detectedVersion);
+        previousVersion = this.getInstalledVersions(serviceId).find(
+          v => getMajorMinor(v) === majorMinor
+        );
+        return { id: `${serviceId}-${majorMinor}`, previousVersion };
+      }
+    );
+
+    if (isMultiVersion) {
+      if (previousVersion) {
+        this.replaceInstalledVersion(serviceId, previousVersion, version);
+      } else {
+        this.addInstalledVersion(serviceId, version);
+      }
+
+      // Versions only known from the replaced installation are no longer available
+      if (state.availableVersions) {
+        state.availableVersions = state.availableVersions.filter(
+          v => v.version !== previousVersion || v.downloadUrl
+        );
+      }
+
+      // The first installed version becomes the active one
+      if (currentVersion === '0.0.0') {
+        this.updateServiceJunction(serviceId, `${serviceId}-${getMajorMinor(version)}`, true);
+      }
+    }
+
+    // The installation of the active version was replaced, or there was none yet
+    if (!isMultiVersion || previousVersion === currentVersion || currentVersion === '0.0.0') {
+      settings.setSync(`version.${serviceId}`, version);
+      state.currentVersion = version;
+    }
+
+    if (this.serviceStates.has(serviceId)) {
+      this.serviceStates.set(serviceId, state);
+      this.refreshServiceState(serviceId);
+    }
+
+    this.emit('version-changed', serviceId, version);
+    return version;
+  }
+
+  /**
+   * Gets the folder name of the active installation of a service
+   * @param {string} serviceId - Service identifier
+   * @returns {string} Service ID, or version folder name for multi-version services
+   * @private
+   */
+  getInstallId(serviceId) {
+    if (!this.serviceStates.get(serviceId)?.multiVersion) return serviceId;
+    return `${serviceId}-${getMajorMinor(this.getCurrentVersion(serviceId))}`;
+  }
+
+  /**
+   * Gets the version the active installation of a service can be rolled back to
+   * @param {string} serviceId - Service identifier
+   * @returns {string|null} Version of the newest backup, or null if there is none
+   */
+  getRollbackVersion(serviceId) {
+    const currentVersion = this.getCurrentVersion(serviceId);
+    if (currentVersion === '0.0.0') return null;
+
+    // A backup of the current version cannot be rolled back to
+    const backup = listBackups(this.getInstallId(serviceId)).find(
+      entry => entry.version !== currentVersion
+    );
+    return backup?.version ?? null;
+  }
+
+  /**
+   * Restores the files replaced by the last update of the active installation of a service
+   *
+   * The service must be stopped.
+   *
+   * @param {string} serviceId - Service identifier
+   * @returns {string} Version the service was rolled back to
+   * @throws {Error} If there is no backup to roll back to
+   */
+  rollbackService(serviceId) {
+    const serviceConfig = config.services[serviceId];
+    const state = this.serviceStates.get(serviceId);
+    const version = this.getRollbackVersion(serviceId);
+    if (!serviceConfig || !state || !version) {
+      throw new Error(`No previous version of ${serviceConfig?.name ?? serviceId} to roll back to`);
+    }
+
+    const currentVersion = this.getCurrentVersion(serviceId);
+    restoreBackup(this.getInstallId(serviceId), version);
+
+    if (state.multiVersion) {
+      this.replaceInstalledVersion(serviceId, currentVersion, version);
+    }
+    settings.setSync(`version.${serviceId}`, version);
+    state.currentVersion = version;
+    this.serviceStates.set(serviceId, state);
+    this.refreshServiceState(serviceId);
+
+    logger.info(`Rolled back ${serviceConfig.name} from ${currentVersion} to ${version}`);
+
+    this.emit('version-changed', serviceId, version);
+    return version;
+  }
+
   /**
    * Installs a service (alias for updateService for consistency)
    * @param {string} serviceId - Service identifier
@@ -0,0 +1,131 @@
+/**
+ * Matches versions like "8.4.1", "1.27.1.1", "8.5.0RC1", "11.4.2-beta" or "1.0.0-rc.1+build.5"
+ * @type {RegExp}
+ */
+const VERSION_PATTERN =
+  /^v?(\d+(?:\.\d+)*)(?:[-.]?([0-9A-Za-z][0-9A-Za-z.-]*?))?(?:\+([0-9A-Za-z.-]+))?$/;
+
+/**
+ * Parses a version string
+ * @param {string} version - Version string
+ * @returns {{numbers: number[], prerelease: (string|number)[], build: string}|null} Parsed
+ *   version, or null if the string is not a version
+ */
+export function parseVersion(version) {
+  const match = String(version ?? '')
+    .trim()
+    .match(VERSION_PATTERN);
+  if (!match) return null;
+
+  const [, numbers, prerelease = '', build = ''] = match;
+
+  // "RC1" and "rc.1" both become ['rc', 1], so RC10 is ordered after RC9
+  const identifiers = prerelease
+    .toLowerCase()
+    .split(/[.-]|(?<=\D)(?=\d)|(?<=\d)(?=\D)/)
+    .filter(Boolean)
+    .map(identifier => (/^\d+$/.test(identifier) ? Number(identifier) : identifier));
+
+  return { numbers: numbers.split('.').map(Number), prerelease: identifiers, build };
+}
+
+/**
+ * Compares the pre-release identifiers of two versions with equal numbers
+ * @param {(string|number)[]} a - Identifiers of the first version
+ * @param {(string|number)[]} b - Identifiers of the second version
+ * @returns {number} Negative, zero or positive like a sort comparator
+ * @private
+ */
+function comparePrerelease(a, b) {
+  // A release is newer than its pre-releases
+  if (a.length === 0 || b.length === 0) return b.length - a.length;
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    // Numeric identifiers are older than alphanumeric ones (semver)
+    if (typeof a[i] === 'number' && typeof b[i] === 'number') return a[i] - b[i];
+    if (typeof a[i] === 'number') return -1;
+    if (typeof b[i] === 'number') return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Compares two versions, build metadata is ignored
+ *
+ * Missing parts count as 0 (8.4 equals 8.4.0) and strings that are not versions are ordered
+ * before all versions.
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is older, positive if a is newer, zero if equal
+ */
+export function compareVersions(a, b) {
+  const versionA = parseVersion(a);
+  const versionB = parseVersion(b);
+
+  if (!versionA || !versionB) {
+    if (versionA) return 1;
+    if (versionB) return -1;
+    return String(a ?? '').localeCompare(String(b ?? ''));
+  }
+
+  const length = Math.max(versionA.numbers.length, versionB.numbers.length);
+  for (let i = 0; i < length; i++) {
+    const difference = (versionA.numbers[i] || 0) - (versionB.numbers[i] || 0);
+    if (difference !== 0) return difference;
+  }
+
+  return comparePrerelease(versionA.prerelease, versionB.prerelease);
+}
+
+/**
+ * Sort comparator that orders versions from newest to oldest
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Sort order
+ */
+export function compareVersionsDescending(a, b) {
+  return compareVersions(b, a);
+}
+
+/**
+ * Checks whether a version is newer than another
+ * @param {string} version1 - First version (e.g., "1.2.3")
+ * @param {string} version2 - Second version (e.g., "1.2.1")
+ * @returns {boolean} True if version1 is greater than version2, false if either is missing
+ */
+export function isVersionGreater(version1, version2) {
+  if (!version1 || !version2) return false;
+  return compareVersions(version1, version2) > 0;
+}
+
+/**
+ * Checks whether a version is a pre-release (e.g. "8.5.0RC1" or "11.4.2-beta")
+ * @param {string} version - Version string
+ * @returns {boolean} True for pre-releases
+ */
+export function isPrerelease(version) {
+  return (parseVersion(version)?.prerelease.length ?? 0) > 0;
+}
+
+/**
+ * Extracts major.minor from a version string
+ * @param {string} version - Version string (e.g., "8.3.28" or "8.5.0RC1")
+ * @returns {string} Major.minor version (e.g., "8.3" or "8.5")
+ */
+export function getMajorMinor(version) {
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    const [major, minor] = String(version).split('.');
+    return `${major}.${minor}`;
+  }
+
+  const [major, minor = 0] = parsed.numbers;
+  return `${major}.${minor}`;
+}
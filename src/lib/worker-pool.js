@@ -0,0 +1,188 @@
+import { spawn } from 'node:child_process';
+import { EventEmitter } from 'node:events';
+import { PassThrough } from 'node:stream';
+
+import config from '../config.js';
+import logger from './logger.js';
+import { countConnections } from './port-manager.js';
+
+/**
+ * Supervises a pool of worker processes listening on consecutive ports
+ *
+ * Windows builds of PHP lack php-fpm, so each php-cgi process can only serve one request at a
+ * time. The pool runs several workers behind an nginx upstream and replaces crashed workers.
+ * It mimics a ChildProcess (stdout, stderr, pid, exitCode, kill() and the exit event), so it can
+ * be supervised like a single service process.
+ *
+ * @extends EventEmitter
+ * @fires WorkerPool#exit - Emitted when all workers exited after kill() or when the pool failed
+ * @fires WorkerPool#worker-replaced - Emitted when a crashed worker was replaced
+ */
+export class WorkerPool extends EventEmitter {
+  /**
+   * Creates a new WorkerPool instance
+   * @param {Object} options - Pool options
+   * @param {string} options.name - Display name used in logs
+   * @param {string} options.executablePath - Worker executable
+   * @param {function(number): string[]} options.getArgs - Returns the arguments for a worker port
+   * @param {number[]} options.ports - One port per worker
+   * @param {Object} options.spawnOptions - Options passed to spawn()
+   */
+  constructor({ name, executablePath, getArgs, ports, spawnOptions }) {
+    super();
+    /** @type {string} Display name used in logs */
+    this.name = name;
+    /** @type {string} Worker executable */
+    this.executablePath = executablePath;
+    /** @type {function(number): string[]} Returns the arguments for a worker port */
+    this.getArgs = getArgs;
+    /** @type {number[]} Worker ports */
+    this.ports = ports;
+    /** @type {Object} Options passed to spawn() */
+    this.spawnOptions = spawnOptions;
+    /** @type {Map<number, ChildProcess>} Active workers by port */
+    this.workers = new Map();
+    /** @type {number[]} Timestamps of recent worker failures */
+    this.failures = [];
+    /** @type {PassThrough} Combined stdout of all workers */
+    this.stdout = new PassThrough();
+    /** @type {PassThrough} Combined stderr of all workers */
+    this.stderr = new PassThrough();
+    /** @type {number|null} Exit code once the pool has stopped */
+    this.exitCode = null;
+    /** @type {boolean} Whether the pool is being stopped */
+    this.stopping = false;
+  }
+
+  /**
+   * PID of the first worker, for compatibility with ChildProcess
+   * @type {number|undefined}
+   */
+  get pid() {
+    return this.workers.values().next().value?.pid;
+  }
+
+  /**
+   * PIDs of all active workers
+   * @type {number[]}
+   */
+  get pids() {
+    return Array.from(this.workers.values(), worker => worker.pid).filter(Boolean);
+  }
+
+  /**
+   * Spawns one worker per port
+   */
+  start() {
+    for (const port of this.ports) {
+      this.spawnWorker(port);
+    }
+  }
+
+  /**
+   * Stops all workers, the exit event fires once the last one has exited
+   * @returns {boolean} Always true, for compatibility with ChildProcess
+   */
+  kill() {
+    this.stopping = true;
+
+    if (this.workers.size === 0) {
+      this.finish(0);
+      return true;
+    }
+
+    for (const worker of this.workers.values()) {
+      worker.kill();
+    }
+    return true;
+  }
+
+  /**
+   * Gets the size and busy/idle state of the pool
+   *
+   * A worker is considered busy while it has an established connection from nginx.
+   *
+   * @returns {Promise<{size: number, alive: number, busy: number, idle: number}>}
+   */
+  async getStats() {
+    const connections = await countConnections(Array.from(this.workers.keys()));
+    const busy = Array.from(this.workers.keys()).filter(port => connections.get(port) > 0).length;
+
+    return {
+      size: this.ports.length,
+      alive: this.workers.size,
+      busy,
+      idle: this.workers.size - busy,
+    };
+  }
+
+  /**
+   * Spawns a single worker and wires its output and exit handling
+   * @param {number} port - Port the worker listens on
+   * @private
+   */
+  spawnWorker(port) {
+    const worker = spawn(this.executablePath, this.getArgs(port), this.spawnOptions);
+
+    // Forward output without ending the combined streams when a worker exits
+    worker.stdout?.pipe(this.stdout, { end: false });
+    worker.stderr?.pipe(this.stderr, { end: false });
+
+    worker.on('exit', code => this.handleWorkerExit(port, worker, code));
+    worker.on('error', error => {
+      this.stderr.write(`${error.message}\n`);
+      this.handleWorkerExit(port, worker, 1);
+    });
+
+    this.workers.set(port, worker);
+  }
+
+  /**
+   * Replaces a crashed worker or completes the shutdown of the pool
+   * @param {number} port - Port of the worker
+   * @param {ChildProcess} worker - The exited worker
+   * @param {number|null} code - Exit code
+   * @private
+   */
+  handleWorkerExit(port, worker, code) {
+    // Ignore duplicate events (e.g. error followed by exit)
+    if (this.workers.get(port) !== worker) return;
+    this.workers.delete(port);
+
+    if (this.stopping) {
+      if (this.workers.size === 0) this.finish(0);
+      return;
+    }
+
+    // A pool whose workers keep failing is treated as crashed as a whole
+    const { maxFailures, failureWindow, respawnDelay } = config.pool;
+    const windowStart = Date.now() - failureWindow;
+    this.failures = this.failures.filter(timestamp => timestamp > windowStart);
+    this.failures.push(Date.now());
+
+    if (this.failures.length > maxFailures * this.ports.length) {
+      logger.error(`${this.name} workers keep failing, stopping the pool`);
+      this.exitCode = code ?? 1;
+      this.kill();
+      return;
+    }
+
+    logger.warn(`${this.name} worker on port ${port} exited with code ${code}, replacing it`);
+
+    setTimeout(() => {
+      if (this.stopping) return;
+      this.spawnWorker(port);
+      this.emit('worker-replaced', port);
+    }, respawnDelay);
+  }
+
+  /**
+   * Marks the pool as exited and notifies listeners
+   * @param {number} code - Exit code reported for the pool
+   * @private
+   */
+  finish(code) {
+    if (this.exitCode === null) this.exitCode = code;
+    this.emit('exit', this.exitCode, null);
+  }
+}
@@ -2,6 +2,7 @@ import { Menu, app, dialog } from 'electron';
 import squirrelStartup from 'electron-squirrel-startup';
 import { updateElectronApp } from 'update-electron-app';
 
+import { isHeadless } from './lib/headless.js';
 import { createMenu, tray } from './lib/menu.js';
 import logger from './lib/logger.js';
 import { serviceManager } from './lib/service-manager.js';
@@ -12,8 +13,8 @@ app.setAppUserModelId('com.squirrel.wemp.Wemp');
 // Handle Squirrel installer events and enforce single instance
 if (squirrelStartup || !app.requestSingleInstanceLock()) app.quit();
 
-// Enable automatic updates for the application
-updateElectronApp();
+// Enable automatic updates for the application, headless installs are updated by their owner
+if (!isHeadless) updateElectronApp();
 
 // Remove default Electron menu
 Menu.setApplicationMenu(null);
@@ -21,25 +22,64 @@ Menu.setApplicationMenu(null);
 // Show tray menu when second instance is launched
 app.on('second-instance', () => tray?.popUpContextMenu());
 
-// Gracefully stop all services before quit
-app.on('before-quit', async event => {
-  event.preventDefault();
+/** @type {boolean} Whether services are being stopped for shutdown */
+let shuttingDown = false;
+
+/**
+ * Stops all services and exits the application
+ * @param {number} [exitCode=0] - Process exit code
+ * @returns {Promise<void>}
+ */
+async function shutdown(exitCode = 0) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
   try {
     await serviceManager.stopAll();
   } catch (error) {
     logger.error('Error during shutdown', error);
   }
-  app.exit();
+  app.exit(exitCode);
+}
+
+// Gracefully stop all services before quit
+app.on('before-quit', event => {
+  event.preventDefault();
+  shutdown();
 });
 
+// Stop services when a headless instance is stopped from the terminal or a service manager
+if (isHeadless) {
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      logger.info(`Received ${signal}, stopping services`);
+      shutdown();
+    });
+  }
+}
+
 // Initialize application when Electron is ready
 app.whenReady().then(async () => {
+  // No dock icon without a tray (macOS)
+  if (isHeadless) app.dock?.hide();
+
   try {
     await serviceManager.init();
     await serviceManager.startAll();
-    createMenu();
+
+    if (isHeadless) {
+      logger.info('Services started, press Ctrl+C to stop');
+    } else {
+      createMenu();
+    }
   } catch (error) {
     logger.error('Failed to initialize application', error);
+
+    if (isHeadless) {
+      await shutdown(1);
+      return;
+    }
+
     await dialog.showMessageBox({
       type: 'error',
       title: 'Initialization Error',